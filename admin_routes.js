@@ -0,0 +1,284 @@
+// admin-routes.js
+const express = require('express');
+const { PolicyError } = require('./username_policy');
+const { ApiKeyError, tokensMatch } = require('./api_keys');
+const { LISTABLE_STATUSES, ModerationError } = require('./username_moderation');
+const logger = require('./logger').logger.child({ component: 'admin' });
+const { SearchError } = require('./username_search');
+
+const MODERATION_ERROR_STATUS = {
+  not_found: 404,
+  invalid_transition: 409,
+  conflict: 409
+};
+
+// Route name -> moderation action
+const MODERATION_ROUTES = {
+  suspend: 'suspend',
+  restore: 'restore',
+  'soft-delete': 'softDelete'
+};
+
+const SEARCH_ERROR_STATUS = {
+  invalid_mode: 400,
+  invalid_query: 400,
+  timeout: 503
+};
+
+const MAX_LIST_LIMIT = 500;
+
+// Accepts "Authorization: Bearer <token>" or "X-API-Key: <token>"
+function requireAdminToken(adminToken) {
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+
+    if (!provided || !tokensMatch(provided, adminToken)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+// Logs the error and answers 500 without its details
+function sendPlainInternalError(res, error, message) {
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+// `authenticate` replaces the plain admin token check, e.g. to also accept
+// API keys with the admin scope. `sendInternalError(res, error, message)`
+// answers unexpected failures, e.g. the service's, which keeps error messages
+// out of production responses.
+function createAdminRouter({ adminToken, authenticate, policy, usernames, bloom, apiKeys, sendInternalError = sendPlainInternalError }) {
+  const router = express.Router();
+  router.use(authenticate || requireAdminToken(adminToken));
+
+  // API keys. The plaintext key is only in the response to POST.
+  router.get('/api-keys', async (req, res) => {
+    try {
+      res.json({ keys: await apiKeys.list() });
+    } catch (error) {
+      sendInternalError(res, error, 'Listing API keys failed');
+    }
+  });
+
+  router.post('/api-keys', async (req, res) => {
+    const { name, scopes, rate_limit: rateLimit = {} } = req.body || {};
+
+    try {
+      const created = await apiKeys.create({
+        name,
+        scopes,
+        rateLimit: {
+          ...(rateLimit.per_minute !== undefined && { perMinute: rateLimit.per_minute }),
+          ...(rateLimit.burst !== undefined && { burst: rateLimit.burst })
+        }
+      });
+      logger.info('API key created', { key_id: created.keyId, name: created.name, scopes: created.scopes });
+      res.status(201).json(created);
+    } catch (error) {
+      if (error instanceof ApiKeyError) {
+        return res.status(400).json({ error: error.message });
+      }
+      sendInternalError(res, error, 'Creating API key failed');
+    }
+  });
+
+  router.delete('/api-keys/:id', async (req, res) => {
+    try {
+      if (!(await apiKeys.revoke(req.params.id))) {
+        return res.status(404).json({ error: 'API key not found or already revoked', id: req.params.id });
+      }
+      logger.info('API key revoked', { key_id: req.params.id });
+      res.json({ revoked: req.params.id });
+    } catch (error) {
+      sendInternalError(res, error, 'Revoking API key failed');
+    }
+  });
+
+  // Username policy lists
+  router.get('/policy', (req, res) => {
+    res.json(policy.toJSON());
+  });
+
+  router.post('/policy/reload', async (req, res) => {
+    try {
+      await policy.load();
+      res.json(policy.toJSON());
+    } catch (error) {
+      sendInternalError(res, error, 'Policy reload failed');
+    }
+  });
+
+  router.post('/policy/:list', async (req, res) => {
+    const { entries } = req.body || {};
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'entries must be a non-empty array' });
+    }
+
+    try {
+      const list = await policy.addEntries(req.params.list, entries);
+      res.status(201).json({ list: req.params.list, entries: list });
+    } catch (error) {
+      if (error instanceof PolicyError) {
+        return res.status(400).json({ error: error.message });
+      }
+      sendInternalError(res, error, 'Adding policy entries failed');
+    }
+  });
+
+  router.delete('/policy/:list/:entry', async (req, res) => {
+    try {
+      const removed = await policy.removeEntry(req.params.list, req.params.entry);
+      if (!removed) {
+        return res.status(404).json({ error: 'Entry not found', list: req.params.list, entry: req.params.entry });
+      }
+      res.json({ list: req.params.list, removed: req.params.entry });
+    } catch (error) {
+      if (error instanceof PolicyError) {
+        return res.status(400).json({ error: error.message });
+      }
+      sendInternalError(res, error, 'Removing policy entry failed');
+    }
+  });
+
+  // Paged by username: pass next_cursor back as ?after= for the next page.
+  //   ?q=<text>&mode=prefix  search: exact | prefix (default) | fuzzy
+  //   ?status=suspended      names in one (non-active) status
+  router.get('/usernames', async (req, res) => {
+    const { q, mode, status, after } = req.query;
+    if (q && status) {
+      return res.status(400).json({ error: 'Use either q or status, not both' });
+    }
+    if (!q && !status) {
+      return res.status(400).json({ error: 'q or status is required' });
+    }
+    if (status && !LISTABLE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${LISTABLE_STATUSES.join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 50 : Math.min(Number(req.query.limit), MAX_LIST_LIMIT);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}` });
+    }
+
+    try {
+      if (status) {
+        // One extra record tells us whether there is a next page
+        const results = await usernames.listByStatus(status, { after: after || null, limit: limit + 1 });
+        const hasMore = results.length > limit;
+        if (hasMore) results.pop();
+        return res.json({
+          status,
+          results,
+          next_cursor: hasMore ? results[results.length - 1].username : null
+        });
+      }
+
+      const { results, pagination } = await usernames.search(q, { mode: mode || 'prefix', after: after || null, limit });
+      res.json({ q, mode: mode || 'prefix', results, next_cursor: pagination.nextCursor });
+    } catch (error) {
+      if (error instanceof SearchError) {
+        return res.status(SEARCH_ERROR_STATUS[error.code]).json({ error: error.message });
+      }
+      sendInternalError(res, error, 'Listing failed');
+    }
+  });
+
+  // Full record
+  router.get('/usernames/:name', async (req, res) => {
+    try {
+      const document = await usernames.get(req.params.name);
+      if (!document) {
+        return res.status(404).json({ error: 'Username not found', username: req.params.name });
+      }
+      res.json(document);
+    } catch (error) {
+      sendInternalError(res, error, 'Lookup failed');
+    }
+  });
+
+  // Hard delete: the name is free immediately (release/rename quarantine it instead)
+  router.delete('/usernames/:name', async (req, res) => {
+    try {
+      if (!(await usernames.delete(req.params.name))) {
+        return res.status(404).json({ error: 'Username not found', username: req.params.name });
+      }
+      logger.info('Username deleted by admin', { username: req.params.name });
+      res.json({ deleted: req.params.name });
+    } catch (error) {
+      sendInternalError(res, error, 'Delete failed');
+    }
+  });
+
+  router.get('/stats', async (req, res) => {
+    try {
+      res.json({
+        database: await usernames.getStats(),
+        bloom_filter: bloom.getStats()
+      });
+    } catch (error) {
+      sendInternalError(res, error, 'Stats failed');
+    }
+  });
+
+  // Rebuild the Bloom filter from storage in the background; progress under /admin/stats
+  router.post('/bloom/rebuild', (req, res) => {
+    if (!bloom.rebuild()) {
+      return res.status(409).json({ error: 'A rebuild is already running', rebuild: bloom.getStats().rebuild });
+    }
+    res.status(202).json({ rebuild: bloom.getStats().rebuild });
+  });
+
+  // Moderation: suspend, restore and soft-delete, each recording reason and actor
+  for (const [route, action] of Object.entries(MODERATION_ROUTES)) {
+    router.post(`/usernames/:name/${route}`, async (req, res) => {
+      const { reason, actor } = req.body || {};
+      if (!reason || typeof reason !== 'string' || !actor || typeof actor !== 'string') {
+        return res.status(400).json({ error: 'reason and actor are required' });
+      }
+
+      try {
+        const change = await usernames.changeStatus(req.params.name, action, { reason, actor });
+        logger.info('Username status changed', { username: change.username, from: change.from, to: change.to, actor, reason });
+        res.json(change);
+      } catch (error) {
+        if (error instanceof ModerationError) {
+          return res.status(MODERATION_ERROR_STATUS[error.code]).json({ error: error.message, username: req.params.name });
+        }
+        sendInternalError(res, error, 'Moderation failed');
+      }
+    });
+  }
+
+  // Username release/rename; the old name goes into quarantine
+  router.post('/usernames/:name/release', async (req, res) => {
+    try {
+      const { status, body } = await usernames.release(req.params.name);
+      res.status(status).json(body);
+    } catch (error) {
+      sendInternalError(res, error, 'Release failed');
+    }
+  });
+
+  router.post('/usernames/:name/rename', async (req, res) => {
+    const { username } = req.body || {};
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'username (the new name) is required' });
+    }
+
+    try {
+      const { status, body } = await usernames.rename(req.params.name, username);
+      res.status(status).json(body);
+    } catch (error) {
+      sendInternalError(res, error, 'Rename failed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdminToken
+};
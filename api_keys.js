@@ -0,0 +1,285 @@
+// api-keys.js
+const crypto = require('crypto');
+const { setRateLimitHeaders } = require('./rate_limiter');
+const { LruCache } = require('./lru_cache');
+const logger = require('./logger').logger.child({ component: 'api_keys' });
+
+const API_KEY_SCOPES = ['check', 'register', 'admin'];
+
+// Scopes callers without a key get when keys are optional
+const ANONYMOUS_SCOPES = ['check', 'register'];
+
+// Keys look like uk_<16 hex id>.<43 char secret>. Only sha256(secret) is
+// stored: the secret is 32 random bytes, so it can't be guessed and needs no
+// password-style stretching.
+const API_KEY_PATTERN = /^uk_([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateApiKey() {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { id, key: `uk_${id}.${secret}`, secretHash: hashSecret(secret) };
+}
+
+function parseApiKey(key) {
+  const match = API_KEY_PATTERN.exec(key);
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hashesMatch(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Bad admin input when creating a key
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+// Key records: { keyId, name, secretHash, scopes, rateLimit: { perMinute, burst },
+// createdAt, revokedAt }. Stores implement insert, findById, list and revoke.
+class MemoryApiKeyStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async setup() {}
+
+  async insert(record) {
+    this.records.set(record.keyId, { ...record });
+  }
+
+  async findById(keyId) {
+    return this.records.get(keyId) || null;
+  }
+
+  async list() {
+    return [...this.records.values()].map(({ secretHash, ...record }) => record);
+  }
+
+  async revoke(keyId, revokedAt = new Date()) {
+    const record = this.records.get(keyId);
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = revokedAt;
+    return true;
+  }
+}
+
+// api_keys collection next to usernames
+class MongoApiKeyStore {
+  constructor(db) {
+    this.name = 'mongodb';
+    this.collection = db.collection('api_keys');
+  }
+
+  async setup() {
+    await this.collection.createIndex({ keyId: 1 }, { unique: true, name: 'key_id_unique_idx' });
+  }
+
+  async insert(record) {
+    await this.collection.insertOne({ ...record });
+  }
+
+  async findById(keyId) {
+    return this.collection.findOne({ keyId }, { projection: { _id: 0 } });
+  }
+
+  async list() {
+    return this.collection.find({}, { projection: { _id: 0, secretHash: 0 } }).sort({ createdAt: 1 }).toArray();
+  }
+
+  async revoke(keyId, revokedAt = new Date()) {
+    const result = await this.collection.updateOne({ keyId, revokedAt: null }, { $set: { revokedAt } });
+    return result.modifiedCount > 0;
+  }
+}
+
+// Keys live wherever usernames do
+function createApiKeyStore(config, usernameStore) {
+  return config.storageBackend === 'mongodb'
+    ? new MongoApiKeyStore(usernameStore.database.db)
+    : new MemoryApiKeyStore();
+}
+
+// Authenticates callers, checks scopes, applies per-key token buckets and
+// counts usage. Key records are cached for cacheTtlMs, so a key revoked on
+// another instance stops working here within that time. At most
+// cacheMaxEntries key ids are cached.
+class ApiKeyManager {
+  constructor(options = {}) {
+    this.getStore = options.getStore;
+    this.limiter = options.limiter;
+    this.adminToken = options.adminToken || null;
+    this.required = Boolean(options.required);
+    this.defaultRateLimit = options.defaultRateLimit;
+    this.anonymousRateLimit = options.anonymousRateLimit || null; // null = anonymous callers aren't limited
+    // keyId -> record. Bounded: unknown ids are cached too, and anyone can make those up
+    this.cache = new LruCache({ ttlMs: options.cacheTtlMs || 30 * 1000, maxEntries: options.cacheMaxEntries || 10000 });
+    this.usage = new Map(); // usage id -> counters
+  }
+
+  async create({ name, scopes, rateLimit = {} }) {
+    if (!name || typeof name !== 'string') {
+      throw new ApiKeyError('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new ApiKeyError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const limits = { ...this.defaultRateLimit, ...rateLimit };
+    if (!(limits.perMinute > 0) || !(limits.burst > 0)) {
+      throw new ApiKeyError('rate_limit.per_minute and rate_limit.burst must be positive numbers');
+    }
+
+    const { id, key, secretHash } = generateApiKey();
+    const record = {
+      keyId: id,
+      name,
+      scopes: [...new Set(scopes)],
+      rateLimit: { perMinute: Number(limits.perMinute), burst: Number(limits.burst) },
+      createdAt: new Date(),
+      revokedAt: null
+    };
+    await this.getStore().insert({ ...record, secretHash });
+
+    // The only time the plaintext key is available
+    return { key, ...record };
+  }
+
+  async list() {
+    return this.getStore().list();
+  }
+
+  async revoke(keyId) {
+    const revoked = await this.getStore().revoke(keyId);
+    this.cache.delete(keyId);
+    return revoked;
+  }
+
+  async findRecord(keyId) {
+    const cached = this.cache.get(keyId);
+    if (cached !== undefined) return cached;
+
+    // Unknown ids are cached too (as null), so made-up keys can't hammer the store
+    const epoch = this.cache.epoch();
+    const record = await this.getStore().findById(keyId);
+    this.cache.set(keyId, record, epoch);
+    return record;
+  }
+
+  // Caller behind a credential: { id, usageId, name, scopes, rateLimit }, or
+  // null if the credential is not valid. Only ADMIN_TOKEN is `trusted`.
+  async authenticate(credential) {
+    if (this.adminToken && tokensMatch(credential, this.adminToken)) {
+      return { id: 'admin-token', usageId: 'admin-token', name: 'ADMIN_TOKEN', scopes: API_KEY_SCOPES, rateLimit: null, trusted: true };
+    }
+
+    const parsed = parseApiKey(credential);
+    if (!parsed) return null;
+
+    const record = await this.findRecord(parsed.id);
+    if (!record || record.revokedAt || !hashesMatch(hashSecret(parsed.secret), record.secretHash)) {
+      return null;
+    }
+
+    return { id: record.keyId, usageId: record.keyId, name: record.name, scopes: record.scopes, rateLimit: record.rateLimit };
+  }
+
+  anonymous(req) {
+    return { id: `anonymous:${req.ip}`, usageId: 'anonymous', name: 'anonymous', scopes: ANONYMOUS_SCOPES, rateLimit: this.anonymousRateLimit };
+  }
+
+  // Middleware: the caller must present a key (or the admin token) with `scope`.
+  // "Authorization: Bearer <key>" or "X-API-Key: <key>".
+  requireScope(scope) {
+    return async (req, res, next) => {
+      const header = req.get('authorization') || '';
+      const credential = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+
+      let caller;
+      if (credential) {
+        try {
+          caller = await this.authenticate(credential);
+        } catch (error) {
+          logger.warn('API key lookup failed', { error: error.message });
+          return res.status(503).json({ error: 'API key lookup failed' });
+        }
+        if (!caller) {
+          return res.status(401).json({ error: 'Invalid API key' });
+        }
+      } else if (this.required || !ANONYMOUS_SCOPES.includes(scope)) {
+        return res.status(401).json({ error: 'API key required' });
+      } else {
+        caller = this.anonymous(req);
+      }
+
+      if (!caller.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+      }
+
+      const usage = this.usageFor(caller);
+      usage.requests++;
+      usage.lastUsedAt = new Date().toISOString();
+
+      if (caller.rateLimit) {
+        const result = this.limiter.take(caller.id, caller.rateLimit);
+        setRateLimitHeaders(res, result);
+        if (!result.allowed) {
+          usage.rateLimited++;
+          return res.status(429).json({ error: 'Rate limit exceeded', retry_after_seconds: result.retryAfterSeconds });
+        }
+      }
+
+      req.apiKey = caller;
+      next();
+    };
+  }
+
+  usageFor(caller) {
+    if (!this.usage.has(caller.usageId)) {
+      this.usage.set(caller.usageId, { name: caller.name, requests: 0, rateLimited: 0, lastUsedAt: null });
+    }
+    return this.usage.get(caller.usageId);
+  }
+
+  getUsage() {
+    const usage = {};
+    for (const [id, counters] of this.usage) {
+      usage[id] = {
+        name: counters.name,
+        requests: counters.requests,
+        rate_limited: counters.rateLimited,
+        last_used_at: counters.lastUsedAt
+      };
+    }
+    return usage;
+  }
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  ANONYMOUS_SCOPES,
+  ApiKeyError,
+  ApiKeyManager,
+  MemoryApiKeyStore,
+  MongoApiKeyStore,
+  createApiKeyStore,
+  generateApiKey,
+  parseApiKey,
+  hashSecret,
+  tokensMatch
+};
@@ -1,11 +1,13 @@
 // bloom-filter.js
-const crypto = require('crypto');
+const { getHashStrategy, getHashStrategyById } = require('./bloom_hash');
+const logger = require('./logger').logger.child({ component: 'bloom_filter' });
 
 class BloomFilter {
-  constructor(expectedElements = 1000000, falsePositiveRate = 0.001) {
+  constructor(expectedElements = 1000000, falsePositiveRate = 0.001, options = {}) {
     // Calculate optimal bit array size and hash function count
     this.expectedElements = expectedElements;
     this.falsePositiveRate = falsePositiveRate;
+    this.hashStrategy = getHashStrategy(options.hashStrategy);
     
     // m = -(n * ln(p)) / (ln(2)^2)
     this.bitArraySize = Math.ceil(
@@ -18,21 +20,22 @@ class BloomFilter {
     );
     
     // Use typed array for memory efficiency
-    this.bitArray = new Uint8Array(Math.ceil(this.bitArraySize / 8));
+    this.bitArray = new Uint8Array(this.storageSize());
     this.elementCount = 0;
     
-    console.log(`BloomFilter initialized:
-      - Expected elements: ${expectedElements.toLocaleString()}
-      - False positive rate: ${falsePositiveRate}
-      - Bit array size: ${this.bitArraySize.toLocaleString()} bits
-      - Hash functions: ${this.hashFunctionCount}
-      - Memory usage: ${(this.bitArray.length / 1024).toFixed(2)} KB`);
+    logger.debug(`${this.constructor.name} initialized`, {
+      expected_elements: expectedElements,
+      false_positive_rate: falsePositiveRate,
+      bit_array_size: this.bitArraySize,
+      hash_functions: this.hashFunctionCount,
+      hash_strategy: this.hashStrategy.name,
+      memory_bytes: this.bitArray.length
+    });
   }
 
   // Generate multiple hash values using double hashing
   getHashValues(item) {
-    const hash1 = this.hash(item, 0);
-    const hash2 = this.hash(item, hash1);
+    const [hash1, hash2] = this.hashStrategy.hashPair(item);
     
     const hashes = [];
     for (let i = 0; i < this.hashFunctionCount; i++) {
@@ -42,12 +45,21 @@ class BloomFilter {
     return hashes;
   }
 
-  // Simple hash function using crypto
-  hash(item, seed = 0) {
-    const hash = crypto.createHash('md5');
-    hash.update(item + seed.toString());
-    const digest = hash.digest('hex');
-    return parseInt(digest.substring(0, 8), 16);
+  // Bytes needed to hold bitArraySize positions (subclasses may pack them differently)
+  storageSize() {
+    return Math.ceil(this.bitArraySize / 8);
+  }
+
+  setPosition(position) {
+    const byteIndex = Math.floor(position / 8);
+    const bitIndex = position % 8;
+    this.bitArray[byteIndex] |= (1 << bitIndex);
+  }
+
+  isPositionSet(position) {
+    const byteIndex = Math.floor(position / 8);
+    const bitIndex = position % 8;
+    return (this.bitArray[byteIndex] & (1 << bitIndex)) !== 0;
   }
 
   // Add item to bloom filter
@@ -55,9 +67,7 @@ class BloomFilter {
     const hashes = this.getHashValues(item.toLowerCase());
     
     for (const hash of hashes) {
-      const byteIndex = Math.floor(hash / 8);
-      const bitIndex = hash % 8;
-      this.bitArray[byteIndex] |= (1 << bitIndex);
+      this.setPosition(hash);
     }
     
     this.elementCount++;
@@ -68,10 +78,7 @@ class BloomFilter {
     const hashes = this.getHashValues(item.toLowerCase());
     
     for (const hash of hashes) {
-      const byteIndex = Math.floor(hash / 8);
-      const bitIndex = hash % 8;
-      
-      if ((this.bitArray[byteIndex] & (1 << bitIndex)) === 0) {
+      if (!this.isPositionSet(hash)) {
         return false; // Definitely not in set
       }
     }
@@ -88,14 +95,15 @@ class BloomFilter {
     }
     
     const duration = Date.now() - startTime;
-    console.log(`Added ${usernames.length.toLocaleString()} usernames to Bloom filter in ${duration}ms`);
+    logger.info('Added usernames to Bloom filter', { usernames: usernames.length, duration_ms: duration });
   }
 
   // Get filter statistics
   getStats() {
     const fillRatio = this.elementCount / this.expectedElements;
+    // p = (1 - e^(-k * n / m))^k
     const estimatedFalsePositiveRate = Math.pow(
-      1 - Math.exp(-this.hashFunctionCount * fillRatio),
+      1 - Math.exp(-this.hashFunctionCount * this.elementCount / this.bitArraySize),
       this.hashFunctionCount
     );
 
@@ -107,6 +115,7 @@ class BloomFilter {
       estimatedFalsePositiveRate: estimatedFalsePositiveRate.toFixed(6),
       bitArraySize: this.bitArraySize,
       hashFunctionCount: this.hashFunctionCount,
+      hashStrategy: this.hashStrategy.name,
       memoryUsageKB: (this.bitArray.length / 1024).toFixed(2)
     };
   }
@@ -118,6 +127,7 @@ class BloomFilter {
       elementCount: this.elementCount,
       bitArraySize: this.bitArraySize,
       hashFunctionCount: this.hashFunctionCount,
+      hashStrategy: this.hashStrategy.name,
       expectedElements: this.expectedElements,
       falsePositiveRate: this.falsePositiveRate
     };
@@ -125,13 +135,63 @@ class BloomFilter {
 
   // Deserialize filter from persistence (optional)
   static deserialize(data) {
-    const filter = new BloomFilter(data.expectedElements, data.falsePositiveRate);
+    // Data serialized before hash strategies existed was always hashed with MD5
+    const filter = new this(data.expectedElements, data.falsePositiveRate, {
+      hashStrategy: data.hashStrategy || 'md5'
+    });
     filter.bitArray = new Uint8Array(data.bitArray);
     filter.elementCount = data.elementCount;
     filter.bitArraySize = data.bitArraySize;
     filter.hashFunctionCount = data.hashFunctionCount;
     return filter;
   }
+
+  // Compact binary form: fixed-size parameter block followed by the raw bit array.
+  // Snapshot files wrap this with a versioned, checksummed header (bloom_snapshot.js).
+  toBuffer() {
+    const params = Buffer.alloc(BINARY_PARAMS_SIZE);
+    params.writeDoubleLE(this.expectedElements, 0);
+    params.writeDoubleLE(this.falsePositiveRate, 8);
+    params.writeDoubleLE(this.bitArraySize, 16);
+    params.writeUInt32LE(this.hashFunctionCount, 24);
+    params.writeDoubleLE(this.elementCount, 28);
+    params.writeUInt32LE(this.hashStrategy.id, 36);
+
+    const bits = Buffer.from(this.bitArray.buffer, this.bitArray.byteOffset, this.bitArray.byteLength);
+    return Buffer.concat([params, bits]);
+  }
+
+  // Snapshot format version 1 had no hash strategy field and always used MD5
+  static fromBuffer(buffer, formatVersion = BINARY_FORMAT_VERSION) {
+    const paramsSize = formatVersion < 2 ? LEGACY_PARAMS_SIZE : BINARY_PARAMS_SIZE;
+    if (buffer.length < paramsSize) {
+      throw new Error('Bloom filter buffer is truncated');
+    }
+
+    // Skip the constructor so we don't allocate (and log) a second bit array
+    const filter = Object.create(this.prototype);
+    filter.expectedElements = buffer.readDoubleLE(0);
+    filter.falsePositiveRate = buffer.readDoubleLE(8);
+    filter.bitArraySize = buffer.readDoubleLE(16);
+    filter.hashFunctionCount = buffer.readUInt32LE(24);
+    filter.elementCount = buffer.readDoubleLE(28);
+    filter.hashStrategy = formatVersion < 2
+      ? getHashStrategy('md5')
+      : getHashStrategyById(buffer.readUInt32LE(36));
+    filter.bitArray = new Uint8Array(buffer.subarray(paramsSize));
+
+    if (filter.bitArray.length !== filter.storageSize()) {
+      throw new Error('Bloom filter bit array length does not match its parameters');
+    }
+
+    return filter;
+  }
 }
 
+// expectedElements, falsePositiveRate, bitArraySize (f64) + hashFunctionCount (u32) + elementCount (f64)
+// + hash strategy id (u32, since format version 2)
+const BINARY_FORMAT_VERSION = 2;
+const LEGACY_PARAMS_SIZE = 36;
+const BINARY_PARAMS_SIZE = 40;
+
 module.exports = BloomFilter;
\ No newline at end of file
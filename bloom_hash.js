@@ -0,0 +1,104 @@
+// bloom-hash.js
+const crypto = require('crypto');
+
+// Hash strategies for BloomFilter. Each one returns the two 32-bit base hashes
+// used for double hashing (h1 + i * h2). The numeric id is what gets written
+// into binary snapshots, so never renumber an existing strategy.
+
+// Original approach: two MD5 digests, the second seeded with the first
+function md5Hash(item, seed) {
+  const hash = crypto.createHash('md5');
+  hash.update(item + seed.toString());
+  const digest = hash.digest('hex');
+  return parseInt(digest.substring(0, 8), 16);
+}
+
+const md5 = {
+  id: 1,
+  name: 'md5',
+  hashPair(item) {
+    const hash1 = md5Hash(item, 0);
+    const hash2 = md5Hash(item, hash1);
+    return [hash1, hash2];
+  }
+};
+
+// MurmurHash3 x86_32 over the string's UTF-16 code units (two per 32-bit block),
+// all in 32-bit integer math. No allocation per call.
+function murmur3(item, seed) {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const length = item.length;
+  const blockEnd = length & ~1;
+  let h = seed >>> 0;
+
+  for (let i = 0; i < blockEnd; i += 2) {
+    let k = item.charCodeAt(i) | (item.charCodeAt(i + 1) << 16);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  if (length & 1) {
+    let k = item.charCodeAt(length - 1);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+  }
+
+  h ^= length * 2; // length in bytes
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+
+  return h >>> 0;
+}
+
+const murmur3Strategy = {
+  id: 2,
+  name: 'murmur3',
+  hashPair(item) {
+    const hash1 = murmur3(item, 0);
+    // Independent second seed; force it odd so h2 never collapses every probe onto h1
+    const hash2 = (murmur3(item, 0x9747b28c) | 1) >>> 0;
+    return [hash1, hash2];
+  }
+};
+
+const HASH_STRATEGIES = {
+  md5,
+  murmur3: murmur3Strategy
+};
+
+const DEFAULT_HASH_STRATEGY = 'murmur3';
+
+function getHashStrategy(name = DEFAULT_HASH_STRATEGY) {
+  const strategy = HASH_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown hash strategy "${name}" (expected one of: ${Object.keys(HASH_STRATEGIES).join(', ')})`);
+  }
+  return strategy;
+}
+
+function getHashStrategyById(id) {
+  const strategy = Object.values(HASH_STRATEGIES).find(candidate => candidate.id === id);
+  if (!strategy) {
+    throw new Error(`Unknown hash strategy id ${id}`);
+  }
+  return strategy;
+}
+
+module.exports = {
+  HASH_STRATEGIES,
+  DEFAULT_HASH_STRATEGY,
+  getHashStrategy,
+  getHashStrategyById,
+  murmur3
+};
@@ -0,0 +1,161 @@
+// bloom-snapshot.js
+const fs = require('fs');
+const path = require('path');
+const BloomFilter = require('./bloom_filter');
+const CountingBloomFilter = require('./counting_bloom_filter');
+const ScalableBloomFilter = require('./scalable_bloom_filter');
+
+// Snapshot file layout (little-endian):
+//
+//   offset  size  field
+//   0       4     magic "BLMS"
+//   4       2     format version
+//   6       2     filter type (1 = standard, 2 = counting, 3 = scalable)
+//   8       8     createdAt watermark, ms since epoch (f64)
+//   16      4     payload length in bytes
+//   20      4     CRC-32 of the payload
+//   24      8     reserved (zero)
+//   32      ...   payload, the filter's own toBuffer() output
+//
+// Version history:
+//   1  initial format, filters always hashed with MD5
+//   2  filter payloads record their hash strategy
+//   3  filters hold confusable skeletons instead of usernames (payload unchanged)
+const MAGIC = Buffer.from('BLMS');
+const FORMAT_VERSION = 3;
+const SKELETON_KEYS_VERSION = 3;
+const HEADER_SIZE = 32;
+
+const FILTER_TYPES = {
+  1: BloomFilter,
+  2: CountingBloomFilter,
+  3: ScalableBloomFilter
+};
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+// Standard CRC-32 (IEEE 802.3), table built once on load
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function filterTypeOf(filter) {
+  for (const [type, FilterClass] of Object.entries(FILTER_TYPES)) {
+    if (filter.constructor === FilterClass) return Number(type);
+  }
+  throw new SnapshotError(`No snapshot type registered for ${filter.constructor.name}`);
+}
+
+function encodeSnapshotParts(filter, createdAt) {
+  const payload = filter.toBuffer();
+  const header = Buffer.alloc(HEADER_SIZE);
+
+  MAGIC.copy(header, 0);
+  header.writeUInt16LE(FORMAT_VERSION, 4);
+  header.writeUInt16LE(filterTypeOf(filter), 6);
+  header.writeDoubleLE(createdAt.getTime(), 8);
+  header.writeUInt32LE(payload.length, 16);
+  header.writeUInt32LE(crc32(payload), 20);
+
+  return [header, payload];
+}
+
+function encodeSnapshot(filter, createdAt = new Date()) {
+  return Buffer.concat(encodeSnapshotParts(filter, createdAt));
+}
+
+function decodeSnapshot(buffer) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, 4).equals(MAGIC)) {
+    throw new SnapshotError('Not a Bloom filter snapshot');
+  }
+
+  const version = buffer.readUInt16LE(4);
+  if (version > FORMAT_VERSION) {
+    throw new SnapshotError(`Unsupported snapshot format version ${version}`);
+  }
+
+  const type = buffer.readUInt16LE(6);
+  const FilterClass = FILTER_TYPES[type];
+  if (!FilterClass) {
+    throw new SnapshotError(`Unknown filter type ${type}`);
+  }
+
+  const createdAt = new Date(buffer.readDoubleLE(8));
+  const payloadLength = buffer.readUInt32LE(16);
+  const checksum = buffer.readUInt32LE(20);
+  const payload = buffer.subarray(HEADER_SIZE, HEADER_SIZE + payloadLength);
+
+  if (payload.length !== payloadLength) {
+    throw new SnapshotError('Snapshot payload is truncated');
+  }
+  if (crc32(payload) !== checksum) {
+    throw new SnapshotError('Snapshot checksum mismatch');
+  }
+
+  return {
+    version,
+    createdAt,
+    filter: FilterClass.fromBuffer(payload, version)
+  };
+}
+
+// Write to a temp file and rename so a crash mid-write never leaves a torn snapshot
+async function writeSnapshot(filePath, filter, createdAt = new Date()) {
+  // Encode synchronously so the bits match the watermark even while requests keep adding
+  const [header, payload] = encodeSnapshotParts(filter, createdAt);
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writev([header, payload]);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, filePath);
+
+  return header.length + payload.length;
+}
+
+// Resolves to null when no snapshot exists yet
+async function readSnapshot(filePath) {
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  return decodeSnapshot(data);
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  SKELETON_KEYS_VERSION,
+  SnapshotError,
+  encodeSnapshot,
+  decodeSnapshot,
+  writeSnapshot,
+  readSnapshot,
+  crc32
+};
@@ -0,0 +1,332 @@
+// bloom-sync.js
+const crypto = require('crypto');
+const redis = require('redis');
+const logger = require('./logger').logger.child({ component: 'bloom_sync' });
+
+// Keeps the Bloom filters of several service instances in step. Each instance
+// publishes its own registrations/deletions on a channel and applies the ones
+// made elsewhere. Events look like:
+//
+//   { type: 'registered' | 'deleted', username, instanceId, publishedAt }
+//
+// A channel implements start(onEvent), publish(event) and stop(). Channels that
+// observe the database itself (change streams) also see this instance's writes,
+// so those are matched against a short-lived record of local writes and skipped.
+// A write is recorded before it reaches the database (expectLocalWrite), since
+// its event can arrive before the write call returns, and settled afterwards.
+const LOCAL_WRITE_TTL_MS = 60 * 1000;
+
+class BloomSync {
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    this.instanceId = options.instanceId || crypto.randomUUID();
+    this.onRemoteEvent = options.onRemoteEvent || (() => {});
+
+    this.ready = false; // hold events until the local filter has finished loading
+    this.pending = [];
+    this.localWrites = new Map(); // `${type}:${username}` -> [{ expiresAt, event, settled }]
+
+    this.stats = {
+      eventsPublished: 0,
+      eventsApplied: 0,
+      lastEventAt: null,
+      lastLagMs: null,
+      status: 'stopped',
+      lastError: null
+    };
+  }
+
+  async start() {
+    this.stats.status = 'connecting';
+    this.sweepTimer = setInterval(() => this.sweepLocalWrites(), LOCAL_WRITE_TTL_MS).unref();
+
+    try {
+      await this.channel.start(event => this.handle(event), error => {
+        this.stats.status = 'error';
+        this.stats.lastError = error.message;
+      });
+      this.stats.status = 'active';
+    } catch (error) {
+      this.stats.status = 'error';
+      this.stats.lastError = error.message;
+      throw error;
+    }
+  }
+
+  // Start applying remote events (including the ones queued while loading)
+  resume() {
+    this.ready = true;
+    const queued = this.pending;
+    this.pending = [];
+    queued.forEach(event => this.apply(event));
+  }
+
+  // Call before writing to the database
+  expectLocalWrite(type, username) {
+    if (!this.channel.deliversOwnWrites) return;
+    this.localWritesFor(`${type}:${username}`).push({ expiresAt: Date.now() + LOCAL_WRITE_TTL_MS, event: null, settled: false });
+  }
+
+  // Call once the write is known to have happened or not. Succeeded writes
+  // that were never expected are recorded now, so their event is still skipped.
+  // A failed write's record may already have taken an event: that event was
+  // another instance's, and is applied after all.
+  settleLocalWrite(type, username, succeeded) {
+    if (!this.channel.deliversOwnWrites) return;
+    const key = `${type}:${username}`;
+    const writes = this.localWritesFor(key);
+    const write = writes.find(candidate => !candidate.settled && (succeeded || !candidate.event)) ||
+      writes.find(candidate => !candidate.settled);
+
+    if (!write) {
+      if (succeeded) writes.push({ expiresAt: Date.now() + LOCAL_WRITE_TTL_MS, event: null, settled: true });
+      return;
+    }
+
+    write.settled = true;
+    if (!succeeded || write.event) this.forgetLocalWrite(key, write);
+    if (!succeeded && write.event) this.deliver(write.event);
+  }
+
+  async publish(type, username) {
+    this.settleLocalWrite(type, username, true);
+
+    try {
+      await this.channel.publish({
+        type,
+        username,
+        instanceId: this.instanceId,
+        publishedAt: Date.now()
+      });
+      this.stats.eventsPublished++;
+    } catch (error) {
+      logger.warn('Bloom sync publish failed', { error: error.message });
+    }
+  }
+
+  handle(event) {
+    if (event.instanceId === this.instanceId || this.consumeLocalWrite(event)) {
+      return;
+    }
+    this.deliver(event);
+  }
+
+  deliver(event) {
+    if (!this.ready) {
+      this.pending.push(event);
+      return;
+    }
+
+    this.apply(event);
+  }
+
+  apply(event) {
+    this.stats.eventsApplied++;
+    this.stats.lastEventAt = new Date().toISOString();
+    this.stats.lastLagMs = event.publishedAt ? Math.max(0, Date.now() - event.publishedAt) : null;
+
+    try {
+      this.onRemoteEvent(event);
+    } catch (error) {
+      logger.warn('Bloom sync apply failed', { error: error.message });
+    }
+  }
+
+  // Takes the oldest local write of this type and name that has no event yet
+  consumeLocalWrite(event) {
+    const key = `${event.type}:${event.username}`;
+    const write = (this.localWrites.get(key) || []).find(candidate => !candidate.event);
+    if (!write) return false;
+
+    write.event = event;
+    if (write.settled) this.forgetLocalWrite(key, write);
+    return true;
+  }
+
+  localWritesFor(key) {
+    if (!this.localWrites.has(key)) this.localWrites.set(key, []);
+    return this.localWrites.get(key);
+  }
+
+  forgetLocalWrite(key, write) {
+    const writes = this.localWrites.get(key) || [];
+    const index = writes.indexOf(write);
+    if (index !== -1) writes.splice(index, 1);
+    if (writes.length === 0) this.localWrites.delete(key);
+  }
+
+  sweepLocalWrites() {
+    const now = Date.now();
+    for (const [key, writes] of this.localWrites) {
+      const live = writes.filter(write => write.expiresAt > now);
+      if (live.length > 0) this.localWrites.set(key, live);
+      else this.localWrites.delete(key);
+    }
+  }
+
+  getStatus() {
+    return {
+      channel: this.channel.name,
+      instance_id: this.instanceId,
+      status: this.stats.status,
+      events_published: this.stats.eventsPublished,
+      events_applied: this.stats.eventsApplied,
+      last_event_at: this.stats.lastEventAt,
+      replication_lag_ms: this.stats.lastLagMs,
+      last_error: this.stats.lastError
+    };
+  }
+
+  async stop() {
+    clearInterval(this.sweepTimer);
+    this.stats.status = 'stopped';
+    await this.channel.stop();
+  }
+}
+
+// Change streams need a replica set or sharded cluster; on a standalone mongod
+// reopening will never help
+const PERMANENT_CHANGE_STREAM_ERRORS = new Set([40573]);
+
+// Follows the usernames collection through a MongoDB change stream. Deletions
+// only carry the username when pre-images are enabled on the collection
+// (collMod usernames changeStreamPreAndPostImages: { enabled: true }, MongoDB 6+);
+// without them, deletes are skipped and the name stays a harmless false positive.
+// A failed stream is reopened after retryDelayMs, doubling up to maxRetryDelayMs
+// while it keeps failing.
+class MongoChangeStreamChannel {
+  constructor(store, options = {}) {
+    if (typeof store.watch !== 'function') {
+      throw new Error(`The mongodb sync channel needs the mongodb storage backend, not "${store.name}"`);
+    }
+
+    this.name = 'mongodb';
+    this.deliversOwnWrites = true;
+    this.store = store;
+    this.stream = null;
+    this.resumeToken = null;
+    this.stopped = false;
+    this.retryDelayMs = options.retryDelayMs || 1000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 60 * 1000;
+    this.failures = 0;
+  }
+
+  async start(onEvent, onError) {
+    this.onEvent = onEvent;
+    this.onError = onError;
+    this.open();
+  }
+
+  open() {
+    const pipeline = [{ $match: { operationType: { $in: ['insert', 'delete'] } } }];
+    const options = { fullDocumentBeforeChange: 'whenAvailable' };
+    if (this.resumeToken) options.resumeAfter = this.resumeToken;
+
+    this.stream = this.store.watch(pipeline, options);
+
+    this.stream.on('change', (change) => {
+      this.resumeToken = change._id;
+      this.failures = 0;
+
+      const document = change.operationType === 'insert'
+        ? change.fullDocument
+        : change.fullDocumentBeforeChange;
+      if (!document || !document.username) return;
+
+      this.onEvent({
+        type: change.operationType === 'insert' ? 'registered' : 'deleted',
+        username: document.username,
+        publishedAt: change.wallTime
+          ? change.wallTime.getTime()
+          : change.clusterTime.getHighBits() * 1000
+      });
+    });
+
+    this.stream.on('error', (error) => {
+      this.onError(error);
+      this.stream.close().catch(() => {});
+      if (this.stopped) return;
+
+      if (PERMANENT_CHANGE_STREAM_ERRORS.has(error.code) || /only supported on replica sets/i.test(error.message)) {
+        logger.error('Bloom sync change stream unavailable, not retrying', { error: error.message, code: error.code });
+        return;
+      }
+
+      const delayMs = Math.min(this.retryDelayMs * 2 ** this.failures, this.maxRetryDelayMs);
+      this.failures++;
+      logger.warn('Bloom sync change stream error, reopening', { error: error.message, retry_in_ms: delayMs });
+      this.retryTimer = setTimeout(() => this.open(), delayMs).unref();
+    });
+  }
+
+  async publish() {
+    // The database write is the event; nothing to send
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    if (this.stream) await this.stream.close();
+  }
+}
+
+// Redis pub/sub: every instance publishes its own writes on one channel
+class RedisPubSubChannel {
+  constructor(config = {}) {
+    this.name = 'redis';
+    this.deliversOwnWrites = false;
+    this.url = config.url || 'redis://localhost:6379';
+    this.channelName = config.channel || 'bloom-filter-sync';
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  async start(onEvent, onError) {
+    this.publisher = redis.createClient({ url: this.url });
+    this.subscriber = this.publisher.duplicate();
+
+    for (const client of [this.publisher, this.subscriber]) {
+      client.on('error', (error) => onError(error));
+    }
+
+    await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+    await this.subscriber.subscribe(this.channelName, (message) => {
+      try {
+        onEvent(JSON.parse(message));
+      } catch (error) {
+        logger.warn('Ignoring malformed Bloom sync message', { error: error.message });
+      }
+    });
+  }
+
+  async publish(event) {
+    if (!this.publisher || !this.publisher.isReady) {
+      throw new Error('Redis sync channel not connected');
+    }
+    await this.publisher.publish(this.channelName, JSON.stringify(event));
+  }
+
+  async stop() {
+    for (const client of [this.subscriber, this.publisher]) {
+      if (client && client.isOpen) await client.quit();
+    }
+  }
+}
+
+function createSyncChannel(config, store) {
+  switch (config.bloomSyncChannel) {
+    case 'mongodb':
+      return new MongoChangeStreamChannel(store);
+    case 'redis':
+      return new RedisPubSubChannel({ url: config.redisUrl, channel: config.bloomSyncRedisChannel });
+    default:
+      throw new Error(`Unknown BLOOM_SYNC_CHANNEL "${config.bloomSyncChannel}" (expected none, mongodb or redis)`);
+  }
+}
+
+module.exports = {
+  BloomSync,
+  MongoChangeStreamChannel,
+  RedisPubSubChannel,
+  createSyncChannel
+};
@@ -0,0 +1,159 @@
+// circuit-breaker.js
+const logger = require('./logger').logger.child({ component: 'circuit_breaker' });
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// Transitions kept for /metrics, newest last
+const MAX_RECENT_TRANSITIONS = 20;
+
+// A call that didn't settle within its time budget
+class TimeoutError extends Error {
+  constructor(message, timeoutMs) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// A call refused without being tried, because the circuit is open
+class CircuitOpenError extends Error {
+  constructor(circuit, retryAfterMs) {
+    super(`The ${circuit} circuit is open`);
+    this.name = 'CircuitOpenError';
+    this.circuit = circuit;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Rejects with a TimeoutError once timeoutMs passes. The underlying work is not
+// cancelled; its late result is ignored.
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Closed: calls go through with a timeout, and failureThreshold failures in a
+// row (errors or timeouts) open the circuit. Open: calls fail at once with
+// CircuitOpenError for resetTimeoutMs. Half-open: one trial call goes through
+// while the rest keep failing fast; its success closes the circuit, its
+// failure opens it again. isFailure(error) tells dependency failures from
+// errors that are the caller's answer (e.g. a duplicate name), which count as
+// successes.
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'circuit';
+    this.timeoutMs = options.timeoutMs || 2000;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 10 * 1000;
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.recentTransitions = [];
+    this.stats = { calls: 0, successes: 0, failures: 0, timeouts: 0, rejected: 0, transitions: {} };
+  }
+
+  async execute(operation) {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('half_open', 'reset timeout elapsed');
+    }
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.name, this.retryAfterMs());
+    }
+
+    const trial = this.state === 'half_open';
+    if (trial) this.trialInFlight = true;
+    this.stats.calls++;
+
+    try {
+      const result = await withTimeout(
+        Promise.resolve().then(operation),
+        this.timeoutMs,
+        `${this.name} call timed out after ${this.timeoutMs} ms`
+      );
+      this.onSuccess(trial);
+      return result;
+    } catch (error) {
+      if (error instanceof TimeoutError) this.stats.timeouts++;
+      if (this.isFailure(error)) this.onFailure(error, trial);
+      else this.onSuccess(trial);
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess(trial) {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    if (trial && this.state === 'half_open') this.transition('closed', 'trial call succeeded');
+  }
+
+  // Calls that started before the circuit opened and fail afterwards don't reopen it
+  onFailure(error, trial) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+
+    if (trial && this.state === 'half_open') {
+      this.transition('open', `trial call failed: ${error.message}`);
+    } else if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.transition('open', `${this.consecutiveFailures} consecutive failures, last: ${error.message}`);
+    }
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    this.state = to;
+    if (to === 'open') this.openedAt = Date.now();
+    if (to === 'closed') this.consecutiveFailures = 0;
+
+    const key = `${from}_to_${to}`;
+    this.stats.transitions[key] = (this.stats.transitions[key] || 0) + 1;
+    this.recentTransitions.push({ from, to, at: new Date().toISOString(), reason });
+    if (this.recentTransitions.length > MAX_RECENT_TRANSITIONS) this.recentTransitions.shift();
+
+    logger[to === 'closed' ? 'info' : 'warn']('Circuit state changed', { circuit: this.name, from, to, reason });
+  }
+
+  // Time until the next trial call is allowed (0 unless open)
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(this.openedAt + this.resetTimeoutMs - Date.now(), 0);
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      timeout_ms: this.timeoutMs,
+      reset_timeout_ms: this.resetTimeoutMs,
+      opened_at: this.state === 'closed' ? null : new Date(this.openedAt).toISOString(),
+      retry_after_ms: this.retryAfterMs(),
+      last_error: this.lastError,
+      calls: this.stats.calls,
+      successes: this.stats.successes,
+      failures: this.stats.failures,
+      timeouts: this.stats.timeouts,
+      rejected: this.stats.rejected,
+      transitions: { ...this.stats.transitions },
+      recent_transitions: [...this.recentTransitions]
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  CircuitOpenError,
+  TimeoutError,
+  withTimeout
+};
@@ -0,0 +1,341 @@
+// config.js
+const fs = require('fs');
+const { HASH_STRATEGIES } = require('./bloom_hash');
+const { SUGGESTION_STRATEGIES } = require('./username_suggestions');
+const { LOG_LEVELS } = require('./logger');
+
+// Every setting the service reads. Sources, later ones winning: the defaults
+// below, the JSON file named by CONFIG_FILE (keys as below), then environment
+// variables. An empty environment variable counts as unset.
+//
+// type is string, int, number, boolean, enum (values), list (comma separated
+// in environment variables, optionally limited to values) or url (protocols).
+// min/max bound numbers and list lengths. secret values and URL passwords are
+// masked in the startup log. A null default means "not set".
+const CONFIG_SCHEMA = {
+  port: { env: 'PORT', type: 'int', default: 3000, min: 0, max: 65535 },
+  nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development' },
+
+  // Storage
+  storageBackend: { env: 'STORAGE_BACKEND', type: 'enum', values: ['mongodb', 'memory'], default: 'mongodb' },
+  mongoUrl: { env: 'MONGODB_URL', type: 'url', protocols: ['mongodb', 'mongodb+srv'], default: 'mongodb://localhost:27017/usernames' },
+  mongoDbName: { env: 'MONGODB_DB', type: 'string', default: null }, // null = database from the connection string
+  mongoMaxPoolSize: { env: 'MONGODB_MAX_POOL_SIZE', type: 'int', default: 50, min: 1 },
+  mongoMinPoolSize: { env: 'MONGODB_MIN_POOL_SIZE', type: 'int', default: 5, min: 0 },
+  mongoMaxIdleTimeMs: { env: 'MONGODB_MAX_IDLE_TIME_MS', type: 'int', default: 30 * 1000, min: 0 },
+  mongoServerSelectionTimeoutMs: { env: 'MONGODB_SERVER_SELECTION_TIMEOUT_MS', type: 'int', default: 5000, min: 1 },
+  storageTimeoutMs: { env: 'STORAGE_TIMEOUT_MS', type: 'int', default: 2000, min: 1 }, // per storage call on request paths
+  circuitFailureThreshold: { env: 'CIRCUIT_FAILURE_THRESHOLD', type: 'int', default: 5, min: 1 }, // failures in a row that open it
+  circuitResetTimeoutMs: { env: 'CIRCUIT_RESET_TIMEOUT_MS', type: 'int', default: 10 * 1000, min: 100 }, // open time before a trial call
+
+  // Bloom filter
+  bloomFilterSize: { env: 'BLOOM_FILTER_SIZE', type: 'int', default: 1000000, min: 1 },
+  bloomFilterFPR: { env: 'BLOOM_FILTER_FPR', type: 'number', default: 0.001, min: 0.000001, max: 0.5 },
+  bloomFilterMode: { env: 'BLOOM_FILTER_MODE', type: 'enum', values: ['standard', 'counting', 'scalable'], default: 'standard' },
+  bloomHashStrategy: { env: 'BLOOM_HASH_STRATEGY', type: 'enum', values: Object.keys(HASH_STRATEGIES), default: 'murmur3' },
+  bloomGrowthFactor: { env: 'BLOOM_GROWTH_FACTOR', type: 'number', default: 2, min: 1.1, max: 10 }, // scalable only
+  bloomTighteningRatio: { env: 'BLOOM_TIGHTENING_RATIO', type: 'number', default: 0.85, min: 0.1, max: 0.99 }, // scalable only
+  bloomSnapshotPath: { env: 'BLOOM_SNAPSHOT_PATH', type: 'string', default: null }, // null = no snapshots
+  bloomSnapshotIntervalMs: { env: 'BLOOM_SNAPSHOT_INTERVAL_MS', type: 'int', default: 5 * 60 * 1000, min: 1000 },
+  bloomSyncChannel: { env: 'BLOOM_SYNC_CHANNEL', type: 'enum', values: ['none', 'mongodb', 'redis'], default: 'none' },
+  bloomSyncRedisChannel: { env: 'BLOOM_SYNC_REDIS_CHANNEL', type: 'string', default: 'bloom-filter-sync' },
+  instanceId: { env: 'INSTANCE_ID', type: 'string', default: null }, // null = random id per process
+
+  // Redis
+  redisEnabled: { env: 'REDIS_ENABLED', type: 'boolean', default: true },
+  redisUrl: { env: 'REDIS_URL', type: 'url', protocols: ['redis', 'rediss'], default: 'redis://localhost:6379' },
+  redisKeyPrefix: { env: 'REDIS_KEY_PREFIX', type: 'string', default: 'username:' },
+  redisRetryDelayMs: { env: 'REDIS_RETRY_DELAY_MS', type: 'int', default: 1000, min: 1 }, // first reconnect delay, doubling
+  redisMaxRetryDelayMs: { env: 'REDIS_MAX_RETRY_DELAY_MS', type: 'int', default: 30 * 1000, min: 1 }, // reconnects never stop
+  redisTimeoutMs: { env: 'REDIS_TIMEOUT_MS', type: 'int', default: 250, min: 1 }, // per cache/hold lookup, then treated as a miss
+  cacheTtl: { env: 'CACHE_TTL_SECONDS', type: 'int', default: 3600, min: 1 },
+  localCacheEnabled: { env: 'LOCAL_CACHE_ENABLED', type: 'boolean', default: true }, // in-process LRU in front of Redis
+  localCacheMaxEntries: { env: 'LOCAL_CACHE_MAX_ENTRIES', type: 'int', default: 10000, min: 1 },
+  localCacheTtlMs: { env: 'LOCAL_CACHE_TTL_MS', type: 'int', default: 5000, min: 1 }, // keep short, see README
+
+  // Lookups and registration
+  batchCheckLimit: { env: 'BATCH_CHECK_LIMIT', type: 'int', default: 500, min: 1 },
+  suggestionsEnabled: { env: 'SUGGESTIONS_ENABLED', type: 'boolean', default: true },
+  suggestionStrategies: {
+    env: 'SUGGESTION_STRATEGIES', type: 'list', values: Object.keys(SUGGESTION_STRATEGIES),
+    default: ['numeric', 'underscore', 'year', 'words'], min: 1
+  },
+  suggestionLimit: { env: 'SUGGESTION_LIMIT', type: 'int', default: 5, min: 1, max: 50 },
+  suggestionTimeoutMs: { env: 'SUGGESTION_TIMEOUT_MS', type: 'int', default: 50, min: 1 },
+  holdStore: { env: 'HOLD_STORE', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  holdTtlSeconds: { env: 'HOLD_TTL_SECONDS', type: 'int', default: 600, min: 1 },
+  quarantineSeconds: { env: 'QUARANTINE_SECONDS', type: 'int', default: 30 * 24 * 60 * 60, min: 0 }, // 30 days
+  quarantineSweepIntervalMs: { env: 'QUARANTINE_SWEEP_INTERVAL_MS', type: 'int', default: 60 * 1000, min: 1000 },
+  policyFile: { env: 'POLICY_FILE', type: 'string', default: null }, // null = built-in reserved names only
+
+  // Access control
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', default: null, secret: true }, // null = admin API disabled
+  apiKeysRequired: { env: 'API_KEYS_REQUIRED', type: 'boolean', default: false }, // false = anonymous check/register allowed
+  apiKeyRateLimit: { env: 'API_KEY_RATE_LIMIT', type: 'int', default: 600, min: 1 }, // per minute, default for new keys
+  apiKeyBurst: { env: 'API_KEY_BURST', type: 'int', default: 100, min: 1 },
+  anonymousRateLimit: { env: 'ANONYMOUS_RATE_LIMIT', type: 'int', default: null, min: 1 }, // per minute, per client IP; null = unlimited
+  anonymousBurst: { env: 'ANONYMOUS_BURST', type: 'int', default: 20, min: 1 },
+  trustProxy: { env: 'TRUST_PROXY', type: 'string', default: null }, // null = client IP is the socket address, see trustProxyOption
+  apiKeyCacheTtlMs: { env: 'API_KEY_CACHE_TTL_MS', type: 'int', default: 30 * 1000, min: 0 },
+  apiKeyCacheMaxEntries: { env: 'API_KEY_CACHE_MAX_ENTRIES', type: 'int', default: 10000, min: 1 }, // known and unknown key ids
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'], min: 1 },
+
+  // Anti-enumeration
+  enumerationGuardEnabled: { env: 'ENUMERATION_GUARD_ENABLED', type: 'boolean', default: false }, // see TRUST_PROXY before enabling
+  enumerationWindowSeconds: { env: 'ENUMERATION_WINDOW_SECONDS', type: 'int', default: 600, min: 1 },
+  enumerationThrottleAt: { env: 'ENUMERATION_THROTTLE_AT', type: 'int', default: 50, min: 1 }, // distinct names per window
+  enumerationChallengeAt: { env: 'ENUMERATION_CHALLENGE_AT', type: 'int', default: 100, min: 1 },
+  enumerationBlockAt: { env: 'ENUMERATION_BLOCK_AT', type: 'int', default: 500, min: 1 },
+  enumerationThrottleRate: { env: 'ENUMERATION_THROTTLE_RATE', type: 'int', default: 10, min: 1 }, // per minute once flagged
+  enumerationThrottleBurst: { env: 'ENUMERATION_THROTTLE_BURST', type: 'int', default: 5, min: 1 },
+  enumerationBlockSeconds: { env: 'ENUMERATION_BLOCK_SECONDS', type: 'int', default: 3600, min: 1 },
+  powDifficulty: { env: 'POW_DIFFICULTY', type: 'int', default: 16, min: 1, max: 32 }, // leading zero bits
+  powChallengeTtlSeconds: { env: 'POW_CHALLENGE_TTL_SECONDS', type: 'int', default: 120, min: 1 },
+  powCredits: { env: 'POW_CREDITS', type: 'int', default: 25, min: 1 }, // lookups per solved challenge
+  powSecret: { env: 'POW_SECRET', type: 'string', default: null, secret: true }, // null = random per process
+
+  // Health and shutdown
+  healthCheckTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'int', default: 2000, min: 1 }, // per dependency probe
+  shutdownGraceMs: { env: 'SHUTDOWN_GRACE_MS', type: 'int', default: 5000, min: 0 }, // not_ready before the listener closes
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'int', default: 10 * 1000, min: 0 }, // drain budget for in-flight requests
+
+  // Metrics and logging
+  rollingMetricsIntervalMs: { env: 'ROLLING_METRICS_INTERVAL_MS', type: 'int', default: 5000, min: 100 }, // window resolution
+  metricsStreamIntervalMs: { env: 'METRICS_STREAM_INTERVAL_MS', type: 'int', default: 2000, min: 100 },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+  logRedact: { env: 'LOG_REDACT', type: 'list', default: [] } // added to the built-in list
+};
+
+// Checks across settings, run once every setting parsed: [test, message]
+const CONFIG_RULES = [
+  [config => config.mongoMinPoolSize <= config.mongoMaxPoolSize,
+    'MONGODB_MIN_POOL_SIZE must not exceed MONGODB_MAX_POOL_SIZE'],
+  [config => config.enumerationThrottleAt <= config.enumerationChallengeAt && config.enumerationChallengeAt <= config.enumerationBlockAt,
+    'ENUMERATION_THROTTLE_AT <= ENUMERATION_CHALLENGE_AT <= ENUMERATION_BLOCK_AT must hold'],
+  [config => config.redisRetryDelayMs <= config.redisMaxRetryDelayMs,
+    'REDIS_RETRY_DELAY_MS must not exceed REDIS_MAX_RETRY_DELAY_MS'],
+  [config => config.holdStore !== 'redis' || config.redisEnabled,
+    'HOLD_STORE=redis needs REDIS_ENABLED=true'],
+  [config => config.bloomSyncChannel !== 'mongodb' || config.storageBackend === 'mongodb',
+    'BLOOM_SYNC_CHANNEL=mongodb needs STORAGE_BACKEND=mongodb']
+];
+
+const MASK = '[REDACTED]';
+
+// Invalid settings. `errors` lists every problem found, not just the first.
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function describeRange(spec, noun) {
+  if (spec.min !== undefined && spec.max !== undefined) return `${noun} between ${spec.min} and ${spec.max}`;
+  if (spec.min !== undefined) return `${noun} >= ${spec.min}`;
+  if (spec.max !== undefined) return `${noun} <= ${spec.max}`;
+  return noun;
+}
+
+function inRange(spec, value) {
+  return (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+}
+
+// Values come as strings from the environment and as JSON values from the
+// config file. Returns { value } or { error }.
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'string':
+      return typeof raw === 'string' || typeof raw === 'number' ? { value: String(raw) } : { error: 'expected a string' };
+
+    case 'int':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : (/^\s*-?[\d.]+(e-?\d+)?\s*$/i.test(raw) ? Number(raw) : NaN);
+      const valid = spec.type === 'int' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!valid || !inRange(spec, value)) {
+        return { error: `expected ${describeRange(spec, spec.type === 'int' ? 'an integer' : 'a number')}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+      return { error: 'expected true or false' };
+    }
+
+    case 'enum': {
+      const value = String(raw).trim();
+      return spec.values.includes(value) ? { value } : { error: `expected one of: ${spec.values.join(', ')}` };
+    }
+
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      const value = items.map(item => item.trim()).filter(Boolean);
+      const unknown = spec.values ? value.filter(item => !spec.values.includes(item)) : [];
+      if (unknown.length > 0) {
+        return { error: `unknown entries ${unknown.join(', ')} (expected any of: ${spec.values.join(', ')})` };
+      }
+      if (!inRange(spec, value.length)) {
+        return { error: `expected ${describeRange(spec, 'a list with a length')}` };
+      }
+      return { value };
+    }
+
+    case 'url': {
+      const match = /^([a-z][a-z0-9+.-]*):\/\/\S+$/i.exec(String(raw));
+      if (!match || !spec.protocols.includes(match[1].toLowerCase())) {
+        return { error: `expected a ${spec.protocols.map(protocol => `${protocol}://`).join(' or ')} URL` };
+      }
+      return { value: String(raw) };
+    }
+
+    default:
+      return { error: `unknown setting type "${spec.type}"` };
+  }
+}
+
+// Shown in errors without echoing secrets back
+function describeInput(spec, raw) {
+  if (spec.secret) return '';
+  return `, got ${JSON.stringify(spec.type === 'url' ? redactUrl(String(raw)) : raw)}`;
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`CONFIG_FILE ${file}: expected a JSON object`);
+      return {};
+    }
+    return values;
+  } catch (error) {
+    errors.push(`CONFIG_FILE ${file}: ${error.message}`);
+    return {};
+  }
+}
+
+// Merges defaults, the config file and the environment, validates the result
+// and returns a frozen config. Throws ConfigError listing every problem.
+function loadConfig(env = process.env) {
+  const errors = [];
+  const file = env.CONFIG_FILE || null;
+  const fileValues = file ? readConfigFile(file, errors) : {};
+
+  for (const key of Object.keys(fileValues)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`CONFIG_FILE ${file}: unknown setting "${key}"`);
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    config[key] = spec.default;
+
+    let source = null;
+    let raw;
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      source = spec.env;
+      raw = env[spec.env];
+    } else if (fileValues[key] !== undefined) {
+      source = `${key} in ${file}`;
+      raw = fileValues[key];
+    }
+    if (source === null || (raw === null && spec.default === null)) continue;
+
+    const { value, error } = parseValue(spec, raw);
+    if (error) {
+      errors.push(`${source}: ${error}${describeInput(spec, raw)}`);
+      continue;
+    }
+    config[key] = value;
+  }
+
+  if (errors.length === 0) {
+    for (const [test, message] of CONFIG_RULES) {
+      if (!test(config)) errors.push(message);
+    }
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  config.configFile = file;
+  config.exposeErrorDetails = config.nodeEnv !== 'production'; // error messages in 500 bodies, never stacks
+  return Object.freeze(config);
+}
+
+// user:password@ in a connection string -> user:[REDACTED]@
+function redactUrl(url) {
+  return url.replace(/^([a-z][a-z0-9+.-]*:\/\/)([^@/]*)@/i, (match, scheme, credentials) => {
+    const user = credentials.split(':')[0];
+    return `${scheme}${user}:${MASK}@`;
+  });
+}
+
+// The config as it is safe to log
+function redactConfig(config) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(config)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (spec && spec.secret && value !== null) redacted[key] = MASK;
+    else if (spec && spec.type === 'url') redacted[key] = redactUrl(value);
+    else redacted[key] = value;
+  }
+  return redacted;
+}
+
+// Options for the components built from config, so every caller reads the same settings
+
+function mongoOptions(config) {
+  return {
+    url: config.mongoUrl,
+    dbName: config.mongoDbName,
+    maxPoolSize: config.mongoMaxPoolSize,
+    minPoolSize: config.mongoMinPoolSize,
+    maxIdleTimeMS: config.mongoMaxIdleTimeMs,
+    serverSelectionTimeoutMS: config.mongoServerSelectionTimeoutMs
+  };
+}
+
+function redisOptions(config) {
+  return {
+    url: config.redisUrl,
+    ttl: config.cacheTtl,
+    keyPrefix: config.redisKeyPrefix,
+    retryDelay: config.redisRetryDelayMs,
+    maxRetryDelay: config.redisMaxRetryDelayMs
+  };
+}
+
+// Express "trust proxy" setting from TRUST_PROXY: true/false, a hop count, or
+// comma-separated addresses/subnets (or loopback, linklocal, uniquelocal) of
+// the proxies in front. Per-IP limits key on the address this yields.
+function trustProxyOption(config) {
+  const value = config.trustProxy;
+  if (value === null) return false;
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function bloomFilterOptions(config) {
+  return {
+    mode: config.bloomFilterMode,
+    expectedElements: config.bloomFilterSize,
+    falsePositiveRate: config.bloomFilterFPR,
+    hashStrategy: config.bloomHashStrategy,
+    growthFactor: config.bloomGrowthFactor,
+    tighteningRatio: config.bloomTighteningRatio
+  };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadConfig,
+  redactConfig,
+  mongoOptions,
+  redisOptions,
+  bloomFilterOptions,
+  trustProxyOption
+};
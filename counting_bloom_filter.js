@@ -0,0 +1,83 @@
+// counting-bloom-filter.js
+const BloomFilter = require('./bloom_filter');
+
+// 4-bit counters, two per byte. A counter that reaches the max sticks there:
+// we can no longer tell how many names share it, so it is never decremented.
+const COUNTER_BITS = 4;
+const COUNTER_MAX = (1 << COUNTER_BITS) - 1;
+
+// Bloom filter variant that supports remove(). Same sizing, hashing and API as
+// BloomFilter, at 4x the memory. bitArray holds the packed counters.
+class CountingBloomFilter extends BloomFilter {
+  storageSize() {
+    return Math.ceil(this.bitArraySize / 2);
+  }
+
+  getCounter(position) {
+    const byte = this.bitArray[position >> 1];
+    return position & 1 ? byte >> 4 : byte & 0x0f;
+  }
+
+  setCounter(position, value) {
+    const byteIndex = position >> 1;
+    const byte = this.bitArray[byteIndex];
+    this.bitArray[byteIndex] = position & 1
+      ? (byte & 0x0f) | (value << 4)
+      : (byte & 0xf0) | value;
+  }
+
+  setPosition(position) {
+    const count = this.getCounter(position);
+    if (count < COUNTER_MAX) {
+      this.setCounter(position, count + 1);
+    }
+  }
+
+  isPositionSet(position) {
+    return this.getCounter(position) > 0;
+  }
+
+  // Remove an item that was previously added. Only call this for names known to
+  // be in the set (e.g. after a confirmed delete): removing a false positive
+  // would decrement counters owned by other names.
+  remove(item) {
+    if (!this.mightContain(item)) {
+      return false;
+    }
+
+    const hashes = this.getHashValues(item.toLowerCase());
+    for (const hash of hashes) {
+      const count = this.getCounter(hash);
+      if (count > 0 && count < COUNTER_MAX) {
+        this.setCounter(hash, count - 1);
+      }
+    }
+
+    this.elementCount = Math.max(0, this.elementCount - 1);
+    return true;
+  }
+
+  getStats() {
+    let saturatedCounters = 0;
+    for (const byte of this.bitArray) {
+      if ((byte & 0x0f) === COUNTER_MAX) saturatedCounters++;
+      if ((byte >> 4) === COUNTER_MAX) saturatedCounters++;
+    }
+
+    return {
+      ...super.getStats(),
+      type: 'counting',
+      counterBits: COUNTER_BITS,
+      saturatedCounters
+    };
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: 'counting'
+    };
+  }
+}
+
+module.exports = CountingBloomFilter;
@@ -0,0 +1,297 @@
+// enumeration-guard.js
+const crypto = require('crypto');
+const { setRateLimitHeaders } = require('./rate_limiter');
+const logger = require('./logger').logger.child({ component: 'enumeration_guard' });
+
+// Escalation steps, from mildest to harshest. A client's level follows how many
+// distinct names it looked up within the sliding window.
+const ENUMERATION_LEVELS = ['throttle', 'challenge', 'block'];
+
+// Proof-of-work challenges are stateless: the token carries its own client,
+// difficulty and expiry, signed with an HMAC. The client must find a nonce so
+// that sha256("<token>:<nonce>") starts with `difficulty` zero bits.
+function signChallenge(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function readChallenge(token, secret) {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch {
+    return null;
+  }
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function solvesChallenge(token, nonce, difficulty) {
+  const digest = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+  return leadingZeroBits(digest) >= difficulty;
+}
+
+// Per-client tracking of distinct names looked up in a sliding window, with
+// escalation from throttling to proof-of-work challenges to a timed block.
+// State is per instance: a scraper spread over N instances is seen N times
+// more slowly, and challenges solved on one instance are unknown to the rest.
+class EnumerationGuard {
+  constructor(options = {}) {
+    this.limiter = options.limiter;
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    this.thresholds = {
+      throttle: options.throttleAt || 50,
+      challenge: options.challengeAt || 100,
+      block: options.blockAt || 500
+    };
+    this.throttleRate = options.throttleRate || { perMinute: 10, burst: 5 };
+    this.blockMs = options.blockMs || 60 * 60 * 1000;
+    this.challengeDifficulty = options.challengeDifficulty || 16;
+    this.challengeTtlMs = options.challengeTtlMs || 2 * 60 * 1000;
+    this.challengeCredits = options.challengeCredits || 25;
+    // With several instances, set a shared secret so any of them can verify a challenge
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+
+    this.clients = new Map(); // client id -> { names, level, credits, usedChallenges, blockedUntil }
+    this.stats = {
+      flagged: { throttle: 0, challenge: 0, block: 0 },
+      throttledRequests: 0,
+      challengesIssued: 0,
+      challengesSolved: 0,
+      challengesFailed: 0,
+      blockedRequests: 0
+    };
+
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.windowMs, 60 * 1000)).unref();
+  }
+
+  clientFor(id, now) {
+    let client = this.clients.get(id);
+    if (!client) {
+      client = { names: new Map(), level: null, credits: 0, usedChallenges: new Map(), blockedUntil: 0 };
+      this.clients.set(id, client);
+    }
+
+    // names is kept in last-seen order, so expired entries are at the front
+    for (const [name, seenAt] of client.names) {
+      if (seenAt > now - this.windowMs) break;
+      client.names.delete(name);
+    }
+    return client;
+  }
+
+  levelFor(distinctNames) {
+    let level = null;
+    for (const candidate of ENUMERATION_LEVELS) {
+      if (distinctNames >= this.thresholds[candidate]) level = candidate;
+    }
+    return level;
+  }
+
+  // Levels follow the window both ways; only a rise counts as a flag
+  setLevel(id, client, level, distinct) {
+    const rising = ENUMERATION_LEVELS.indexOf(level) > ENUMERATION_LEVELS.indexOf(client.level);
+    client.level = level;
+    if (!rising) return;
+    this.stats.flagged[level]++;
+    logger.warn('Enumeration suspected', { client: id, level, distinct_names: distinct });
+  }
+
+  // Challenges name the client by hash, so tokens don't carry IPs or key ids
+  clientTag(id) {
+    return crypto.createHash('sha256').update(id).digest('base64url').slice(0, 16);
+  }
+
+  issueChallenge(id, now) {
+    this.stats.challengesIssued++;
+    const expiresAt = now + this.challengeTtlMs;
+    const token = signChallenge({
+      client: this.clientTag(id),
+      difficulty: this.challengeDifficulty,
+      expiresAt,
+      salt: crypto.randomBytes(8).toString('base64url')
+    }, this.secret);
+
+    return {
+      algorithm: 'sha256',
+      token,
+      difficulty: this.challengeDifficulty,
+      expires_at: new Date(expiresAt).toISOString()
+    };
+  }
+
+  // True if the request carries a fresh, unused solution to a challenge issued to this client
+  redeemSolution(id, client, req, now) {
+    const token = req.get('x-pow-challenge');
+    const nonce = req.get('x-pow-nonce');
+    if (!token || !nonce) return false;
+
+    const payload = readChallenge(token, this.secret);
+    const valid = payload &&
+      payload.client === this.clientTag(id) &&
+      payload.expiresAt > now &&
+      !client.usedChallenges.has(token) &&
+      solvesChallenge(token, nonce, payload.difficulty);
+
+    if (!valid) {
+      this.stats.challengesFailed++;
+      return false;
+    }
+
+    client.usedChallenges.set(token, payload.expiresAt);
+    client.credits += this.challengeCredits;
+    this.stats.challengesSolved++;
+    return true;
+  }
+
+  // Middleware for lookup routes. namesOf(req) returns the keys (skeletons) the
+  // request looks up; the caller id comes from req.apiKey (IP for anonymous callers).
+  middleware(namesOf) {
+    return (req, res, next) => {
+      const caller = req.apiKey;
+      if (!caller || caller.trusted) return next(); // ADMIN_TOKEN
+
+      const id = caller.id;
+      const now = Date.now();
+      const client = this.clientFor(id, now);
+
+      if (client.blockedUntil > now) {
+        return this.rejectBlocked(res, client);
+      }
+
+      const names = [...new Set(namesOf(req))];
+      const newNames = names.filter(name => !client.names.has(name)).length;
+      const distinct = client.names.size + newNames;
+      const level = this.levelFor(distinct);
+      this.setLevel(id, client, level, distinct);
+
+      if (level === 'block') {
+        // The block replaces the window: it starts from scratch when the block ends
+        client.blockedUntil = now + this.blockMs;
+        client.names.clear();
+        client.level = null;
+        client.credits = 0;
+        return this.rejectBlocked(res, client);
+      }
+
+      // Flagged clients pay per new name, so a batch costs what the same
+      // lookups would one by one (and at least one, like any request)
+      const cost = Math.max(1, newNames);
+
+      // A solved challenge buys challengeCredits lookups. A batch may overdraw
+      // them, and the debt is paid with further solutions before the next request.
+      if (level === 'challenge' && client.credits <= 0) {
+        this.redeemSolution(id, client, req, now);
+        if (client.credits <= 0) {
+          return res.status(428).json({
+            error: 'Proof of work required',
+            reason: 'challenge',
+            challenge: this.issueChallenge(id, now)
+          });
+        }
+      }
+
+      if (level) {
+        if (cost > this.throttleRate.burst) {
+          this.stats.throttledRequests++;
+          return res.status(429).json({
+            error: 'Too many new names in one request',
+            reason: 'throttled',
+            max_names: this.throttleRate.burst
+          });
+        }
+        const result = this.limiter.take(`enumeration:${id}`, this.throttleRate, cost);
+        if (!result.allowed) {
+          this.stats.throttledRequests++;
+          setRateLimitHeaders(res, result);
+          return res.status(429).json({
+            error: 'Too many distinct lookups',
+            reason: 'throttled',
+            retry_after_seconds: result.retryAfterSeconds
+          });
+        }
+      }
+      if (level === 'challenge') client.credits -= cost;
+
+      for (const name of names) {
+        client.names.delete(name);
+        client.names.set(name, now);
+      }
+      next();
+    };
+  }
+
+  rejectBlocked(res, client) {
+    this.stats.blockedRequests++;
+    return res.status(403).json({
+      error: 'Too many distinct lookups',
+      reason: 'blocked',
+      blocked_until: new Date(client.blockedUntil).toISOString()
+    });
+  }
+
+  // Forgets clients with nothing left in the window and no block in force
+  sweep() {
+    const now = Date.now();
+    for (const [id, client] of this.clients) {
+      for (const [token, expiresAt] of client.usedChallenges) {
+        if (expiresAt <= now) client.usedChallenges.delete(token);
+      }
+      this.clientFor(id, now);
+      if (client.names.size === 0 && client.blockedUntil <= now) this.clients.delete(id);
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    const current = { throttle: 0, challenge: 0, block: 0 };
+    for (const client of this.clients.values()) {
+      if (client.blockedUntil > now) current.block++;
+      else if (client.level) current[client.level]++;
+    }
+
+    return {
+      window_seconds: this.windowMs / 1000,
+      thresholds: this.thresholds,
+      tracked_clients: this.clients.size,
+      flagged_clients: current,
+      flagged_total: this.stats.flagged,
+      throttled_requests: this.stats.throttledRequests,
+      challenges: {
+        issued: this.stats.challengesIssued,
+        solved: this.stats.challengesSolved,
+        failed: this.stats.challengesFailed
+      },
+      blocked_requests: this.stats.blockedRequests
+    };
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = {
+  ENUMERATION_LEVELS,
+  EnumerationGuard,
+  leadingZeroBits,
+  solvesChallenge
+};
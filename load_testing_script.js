@@ -11,6 +11,9 @@ const responseTime = new Trend('response_time_custom');
 const errorRate = new Rate('errors');
 const totalRequests = new Counter('total_requests');
 
+// Optional API key (k6 run -e API_KEY=uk_...), for servers that limit anonymous callers
+const params = __ENV.API_KEY ? { headers: { 'X-API-Key': __ENV.API_KEY } } : {};
+
 // Test configuration
 export const options = {
   stages: [
@@ -48,7 +51,7 @@ export default function () {
   const username = testUsernames[Math.floor(Math.random() * testUsernames.length)];
   
   const startTime = Date.now();
-  const response = http.get(`http://localhost:3000/username/${username}`);
+  const response = http.get(`http://localhost:3000/username/${username}`, params);
   const endTime = Date.now();
   
   totalRequests.add(1);
@@ -0,0 +1,136 @@
+// logger.js
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names (any depth, case-insensitive) whose values never reach the log.
+// LOG_REDACT adds to these.
+const DEFAULT_REDACT = ['authorization', 'x-api-key', 'cookie', 'set-cookie', 'password', 'token', 'secret', 'secretHash', 'key', 'nonce'];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Incoming X-Request-Id values are reused only if they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Carries the request ID through everything a request awaits, so log lines
+// written deep inside a store or the cache still name their request
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// One JSON object per line:
+// {"time":"...","level":"info","msg":"...","request_id":"...",...fields}
+class Logger {
+  constructor(options = {}) {
+    this.root = options.root || this;
+    this.bindings = options.bindings || {};
+    if (this.root === this) {
+      this.write = options.write || (line => process.stdout.write(line + '\n'));
+      this.configure(options);
+    }
+  }
+
+  configure({ level = 'info', redact = [] } = {}) {
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    this.level = level;
+    this.redactKeys = new Set([...DEFAULT_REDACT, ...redact].map(name => name.toLowerCase()));
+  }
+
+  // Logger that adds `bindings` to every line, e.g. { component: 'bloom_sync' }
+  child(bindings) {
+    return new Logger({ root: this.root, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  redact(value, depth = 0) {
+    if (value instanceof Error) return this.redact(serializeError(value), depth);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+
+    const copy = {};
+    for (const [name, field] of Object.entries(value)) {
+      copy[name] = this.root.redactKeys.has(name.toLowerCase()) ? REDACTED : this.redact(field, depth + 1);
+    }
+    return copy;
+  }
+
+  log(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.root.level]) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context && { request_id: context.requestId }),
+      ...this.bindings,
+      ...this.redact(fields)
+    };
+    this.root.write(JSON.stringify(entry));
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+// Process-wide logger. The server configures it from LOG_LEVEL / LOG_REDACT.
+const logger = new Logger();
+
+// Middleware: assigns the request ID (from X-Request-Id when usable), echoes it
+// in the response header and in every error body, runs the rest of the request
+// inside its context, and writes one access log line when the response is done.
+// Routes can put the lookup source in res.locals.source for the access log.
+function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startTime = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const isErrorBody = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+      return json(isErrorBody ? { ...body, request_id: requestId } : body);
+    };
+
+    res.on('finish', () => {
+      const fields = {
+        request_id: requestId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        duration_ms: Number((Number(process.hrtime.bigint() - startTime) / 1e6).toFixed(2)),
+        ...(res.locals.source && { source: res.locals.source }),
+        ...(req.apiKey && { caller: req.apiKey.usageId }),
+        ip: req.ip
+      };
+      log.log(res.statusCode >= 500 ? 'error' : 'info', 'request', fields);
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  DEFAULT_REDACT,
+  Logger,
+  logger,
+  requestLogger,
+  requestContext
+};
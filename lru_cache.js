@@ -0,0 +1,77 @@
+// lru-cache.js
+
+// Bounded in-process cache with a TTL. A Map keeps insertion order, so
+// re-inserting on every hit makes the first key the least recently used one.
+//
+// Invalidations bump an epoch. A caller that read from the backend passes the
+// epoch it saw before the read to set(), and the write is dropped if anything
+// was invalidated meanwhile, so a slow read can't put back a stale answer that
+// a registration just removed.
+class LruCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.ttlMs = options.ttlMs || 5000;
+
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.invalidationEpoch = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  }
+
+  // undefined on a miss, so null can be cached
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  epoch() {
+    return this.invalidationEpoch;
+  }
+
+  set(key, value, epoch = this.invalidationEpoch) {
+    if (epoch !== this.invalidationEpoch) return false;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  delete(key) {
+    this.invalidationEpoch++;
+    this.stats.invalidations++;
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.invalidationEpoch++;
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      ttl_ms: this.ttlMs,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hit_rate: lookups > 0 ? Number((this.stats.hits / lookups * 100).toFixed(2)) : 0,
+      evictions: this.stats.evictions,
+      invalidations: this.stats.invalidations
+    };
+  }
+}
+
+module.exports = { LruCache };
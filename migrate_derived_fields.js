@@ -0,0 +1,41 @@
+// migrate-derived-fields.js
+// One-off migration for usernames stored before confusable skeletons and
+// search trigrams existed. Run it once after upgrading, with the service's
+// MONGODB_* settings; it is safe to run again. Names whose skeleton another
+// record already holds are listed and left without one, and the exit code
+// is 1 until someone resolves them (rename, delete or keep one of each pair).
+//
+//   node migrate_derived_fields.js
+const { UsernameDatabase } = require('./mongodb_schema');
+const { loadConfig, mongoOptions } = require('./config');
+const { logger } = require('./logger');
+
+async function migrate() {
+  const config = loadConfig();
+  logger.configure({ level: config.logLevel, redact: config.logRedact });
+
+  const { url, dbName, ...clientOptions } = mongoOptions(config);
+  const database = new UsernameDatabase(url, dbName, clientOptions);
+  // A sharded collection can't take its indexes before this has run; there
+  // the backfill's own lookup of skeleton holders is the only collision check
+  await database.connect({ setup: false });
+
+  try {
+    if (!(await database.isShardedCluster())) await database.createIndexes();
+
+    const { updated, collisions } = await database.backfillDerivedFields();
+    logger.info('Backfilled skeletons and trigrams', { usernames: updated });
+
+    if (collisions.length > 0) {
+      logger.error('Usernames share a confusable skeleton with another record', { count: collisions.length, collisions });
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+migrate().catch((error) => {
+  logger.error('Migration failed', { error });
+  process.exit(1);
+});
@@ -1,59 +1,93 @@
 // mongodb-setup.js
 const { MongoClient } = require('mongodb');
+const { normalizeUsername, toSkeleton } = require('./username_normalizer');
+const { SearchError, escapeRegex, parseSearch, trigramsOf, minSharedTrigrams, rankFuzzyMatches } = require('./username_search');
+const logger = require('./logger').logger.child({ component: 'mongodb' });
+
+// Thrown when a username (or a lookalike) is registered twice: duplicate key on
+// username_unique_idx or skeleton_unique_idx
+class UsernameExistsError extends Error {
+  constructor(username) {
+    super('Username already exists');
+    this.name = 'UsernameExistsError';
+    this.username = username;
+  }
+}
+
+// Range-sharded on skeleton so skeleton_unique_idx can be enforced, see setupSharding
+const SHARD_KEY = { skeleton: 1 };
 
 class UsernameDatabase {
-  constructor(connectionUrl, dbName = 'usernames') {
+  // options: MongoClient pool and timeout settings, see mongoOptions() in config.js
+  constructor(connectionUrl, dbName = 'usernames', options = {}) {
     this.connectionUrl = connectionUrl;
     this.dbName = dbName;
+    this.clientOptions = {
+      maxPoolSize: 50,
+      minPoolSize: 5,
+      maxIdleTimeMS: 30000,
+      serverSelectionTimeoutMS: 5000,
+      ...options
+    };
     this.client = null;
     this.db = null;
     this.collection = null;
   }
 
-  async connect() {
+  // setup: false skips index and shard creation (migrate_derived_fields.js,
+  // which has to run before they can be built on older data)
+  async connect({ setup = true } = {}) {
     try {
-      this.client = new MongoClient(this.connectionUrl, {
-        maxPoolSize: 50,
-        minPoolSize: 5,
-        maxIdleTimeMS: 30000,
-        serverSelectionTimeoutMS: 5000,
-      });
+      this.client = new MongoClient(this.connectionUrl, this.clientOptions);
 
       await this.client.connect();
+      // A null dbName falls back to the database named in the connection string
       this.db = this.client.db(this.dbName);
+      this.dbName = this.db.databaseName;
       this.collection = this.db.collection('usernames');
       
-      console.log('✅ MongoDB connected');
-      await this.setupDatabase();
+      logger.info('MongoDB connected');
+      if (setup) await this.setupDatabase();
       
     } catch (error) {
-      console.error('MongoDB connection failed:', error);
+      logger.error('MongoDB connection failed', { error });
       throw error;
     }
   }
 
+  // Failures propagate: running without skeleton_unique_idx would quietly
+  // allow lookalike registrations, so the service should not start instead
   async setupDatabase() {
+    const sharded = await this.isShardedCluster();
+
+    // Create indexes for optimal performance
+    await this.createIndexes({ sharded });
+
+    if (sharded) await this.setupSharding();
+
+    logger.info('MongoDB database setup completed');
+  }
+
+  // listShards only succeeds through mongos
+  async isShardedCluster() {
     try {
-      // Create indexes for optimal performance
-      await this.createIndexes();
-      
-      // Setup sharding if needed
-      await this.setupSharding();
-      
-      console.log('✅ MongoDB database setup completed');
-      
+      const shardStatus = await this.client.db('admin').command({ listShards: 1 });
+      return shardStatus.ok === 1 && shardStatus.shards?.length > 0;
     } catch (error) {
-      console.warn('Database setup warning:', error.message);
+      return false;
     }
   }
 
-  async createIndexes() {
+  // On a sharded cluster a unique index has to start with the shard key, which
+  // is skeleton (see setupSharding). Skeletons are derived from usernames, so
+  // skeleton_unique_idx covers username uniqueness there as well.
+  async createIndexes({ sharded = false } = {}) {
     // Primary index on username (unique)
     await this.collection.createIndex(
       { username: 1 }, 
       { 
-        unique: true,
-        name: 'username_unique_idx',
+        unique: !sharded,
+        name: sharded ? 'username_idx' : 'username_unique_idx',
         background: true
       }
     );
@@ -67,6 +101,53 @@ class UsernameDatabase {
       }
     );
 
+    // Confusable skeleton: one registration per lookalike group. Records that
+    // predate skeletons are left out until migrate_derived_fields.js has run,
+    // except on a sharded cluster, where this is the shard key index.
+    try {
+      await this.collection.createIndex(
+        { skeleton: 1 },
+        {
+          unique: true,
+          name: 'skeleton_unique_idx',
+          ...(!sharded && { partialFilterExpression: { skeleton: { $exists: true } } }),
+          background: true
+        }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      logger.error('Cannot build skeleton_unique_idx: usernames share a confusable skeleton or lack one. Run migrate_derived_fields.js to list them.', { error: error.message });
+      throw error;
+    }
+
+    // Multikey index on name trigrams, for fuzzy admin search
+    await this.collection.createIndex(
+      { trigrams: 1 },
+      {
+        name: 'trigram_idx',
+        background: true
+      }
+    );
+
+    // Registration time, for replaying writes made after a Bloom filter snapshot
+    await this.collection.createIndex(
+      { createdAt: 1 },
+      { 
+        name: 'created_at_idx',
+        background: true
+      }
+    );
+
+    // Quarantined names by expiry, for the quarantine sweeper
+    await this.collection.createIndex(
+      { quarantinedUntil: 1 },
+      {
+        name: 'quarantine_expiry_idx',
+        partialFilterExpression: { status: 'quarantined' },
+        background: true
+      }
+    );
+
     // Partial index for active users (if you have status field)
     await this.collection.createIndex(
       { username: 1, status: 1 },
@@ -77,65 +158,217 @@ class UsernameDatabase {
       }
     );
 
-    console.log('✅ Database indexes created');
+    logger.info('Database indexes created');
   }
 
+  // A unique index on a sharded collection must be prefixed by the shard key,
+  // so lookalike uniqueness needs { skeleton: 1 }: ranged, as hashed shard
+  // keys can't be unique. A collection sharded on anything else is refused.
   async setupSharding() {
-    try {
-      // Check if we're connected to a sharded cluster
-      const adminDb = this.client.db('admin');
-      const shardStatus = await adminDb.command({ listShards: 1 });
-      
-      if (shardStatus.ok === 1 && shardStatus.shards?.length > 0) {
-        console.log('🔀 Setting up sharding for usernames collection...');
-        
-        // Enable sharding on the database
-        await adminDb.command({ enableSharding: this.dbName });
-        
-        // Shard the collection using hashed sharding on username
-        await adminDb.command({
-          shardCollection: `${this.dbName}.usernames`,
-          key: { username: 'hashed' }
-        });
-        
-        console.log('✅ Sharding configured');
+    const adminDb = this.client.db('admin');
+    const namespace = `${this.dbName}.usernames`;
+
+    const sharded = await this.client.db('config').collection('collections')
+      .findOne({ _id: namespace, dropped: { $ne: true } });
+    if (sharded) {
+      if (JSON.stringify(sharded.key) !== JSON.stringify(SHARD_KEY)) {
+        throw new Error(`${namespace} is sharded on ${JSON.stringify(sharded.key)}, but skeleton_unique_idx needs the shard key ${JSON.stringify(SHARD_KEY)}: reshard it (reshardCollection) first`);
       }
+      return;
+    }
+
+    logger.info('Setting up sharding for usernames collection');
+    await adminDb.command({ enableSharding: this.dbName });
+    await adminDb.command({ shardCollection: namespace, key: SHARD_KEY, unique: true });
+    logger.info('Sharding configured');
+  }
+
+  // One-off migration for records that predate skeletons and trigrams, run by
+  // migrate_derived_fields.js rather than on every connect (it scans). A record
+  // whose skeleton another one already holds gets trigrams only, and is
+  // returned in `collisions`: which of a lookalike pair keeps it is for a person.
+  async backfillDerivedFields(batchSize = 1000) {
+    const cursor = this.collection.find(
+      { $or: [{ skeleton: { $exists: false } }, { trigrams: { $exists: false } }] },
+      { projection: { username: 1, skeleton: 1 } }
+    );
+
+    const result = { updated: 0, collisions: [] };
+    let batch = [];
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= batchSize) {
+        await this.backfillBatch(batch, result);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await this.backfillBatch(batch, result);
+
+    return result;
+  }
+
+  async backfillBatch(docs, result) {
+    const skeletons = docs.map(doc => doc.skeleton || toSkeleton(doc.username));
+    const holders = new Map(
+      (await this.collection.find({ skeleton: { $in: skeletons } }, { projection: { username: 1, skeleton: 1 } }).toArray())
+        .map(holder => [holder.skeleton, holder.username])
+    );
+
+    const updates = docs.map((doc, i) => {
+      const $set = { trigrams: trigramsOf(doc.username) };
+      const holder = holders.get(skeletons[i]);
+      if (holder && holder !== doc.username) {
+        result.collisions.push({ username: doc.username, skeleton: skeletons[i], heldBy: holder });
+      } else {
+        $set.skeleton = skeletons[i];
+        holders.set(skeletons[i], doc.username);
+      }
+      return { updateOne: { filter: { _id: doc._id }, update: { $set } } };
+    });
+
+    try {
+      result.updated += (await this.collection.bulkWrite(updates, { ordered: false })).modifiedCount;
     } catch (error) {
-      // Not a sharded cluster or sharding already configured
-      console.log('ℹ️  Single replica set or sharding already configured');
+      // A lookalike registered since the holders query
+      if (error.code !== 11000 || !error.writeErrors) throw error;
+      result.updated += error.result.modifiedCount;
+      for (const writeError of [].concat(error.writeErrors)) {
+        const doc = docs[writeError.index];
+        result.collisions.push({ username: doc.username, skeleton: skeletons[writeError.index], heldBy: null });
+      }
     }
   }
 
-  // Check if username exists
+  // Check if username (or a lookalike of it) exists
   async isUsernameTaken(username) {
+    const normalized = normalizeUsername(username);
+
     try {
       const result = await this.collection.findOne(
-        { username: username.toLowerCase() },
+        { $or: [{ skeleton: toSkeleton(normalized) }, { username: normalized }] },
         { projection: { _id: 1 } } // Only return _id for existence check
       );
       return !!result;
     } catch (error) {
-      console.error('Database query error:', error);
+      logger.error('Database query error', { error });
+      throw error;
+    }
+  }
+
+  // Which of these usernames are taken (directly or by a lookalike), in one query
+  async findExistingUsernames(usernames) {
+    return [...(await this.findUsernameStatuses(usernames)).keys()];
+  }
+
+  // Map of normalized username -> status of the record holding it (or a lookalike
+  // of it), for the taken ones. Records without a status are 'active'.
+  async findUsernameStatuses(usernames) {
+    const normalized = usernames.map(normalizeUsername);
+    const skeletons = normalized.map(toSkeleton);
+
+    try {
+      const docs = await this.collection.find(
+        { $or: [{ skeleton: { $in: skeletons } }, { username: { $in: normalized } }] },
+        { projection: { username: 1, skeleton: 1, status: 1, _id: 0 } }
+      ).toArray();
+
+      const byUsername = new Map(docs.map(doc => [doc.username, doc.status || 'active']));
+      const bySkeleton = new Map(docs.map(doc => [doc.skeleton || toSkeleton(doc.username), doc.status || 'active']));
+
+      const statuses = new Map();
+      normalized.forEach((username, i) => {
+        const status = byUsername.get(username) || bySkeleton.get(skeletons[i]);
+        if (status) statuses.set(username, status);
+      });
+      return statuses;
+    } catch (error) {
+      logger.error('Database query error', { error });
       throw error;
     }
   }
 
+  async getUsername(username) {
+    return this.collection.findOne({ username: normalizeUsername(username) });
+  }
+
+  // Keep a released/renamed name out of circulation until `until`. The record
+  // stays, so unique indexes and Bloom filters keep treating it as taken.
+  // Only active names can be quarantined (a suspended owner can't walk away).
+  async quarantineUsername(username, until, metadata = {}) {
+    const result = await this.collection.updateOne(
+      { username: normalizeUsername(username), status: { $in: [null, 'active'] } },
+      { $set: { status: 'quarantined', quarantinedAt: new Date(), quarantinedUntil: until, ...metadata } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async findExpiredQuarantine(now = new Date(), limit = 500) {
+    return this.collection.find(
+      { status: 'quarantined', quarantinedUntil: { $lte: now } },
+      { projection: { username: 1 } }
+    ).limit(limit).toArray();
+  }
+
+  // Moderation status change, applied only if the record is still in `from`.
+  // 'active' is stored as no status at all (missing or null both match).
+  async updateUsernameStatus(username, from, to, entry) {
+    const update = {
+      $set: { statusReason: entry.reason, statusChangedBy: entry.actor, statusChangedAt: entry.at },
+      $push: { moderationLog: entry }
+    };
+    if (to === 'active') update.$unset = { status: '' };
+    else update.$set.status = to;
+
+    const result = await this.collection.updateOne(
+      { username: normalizeUsername(username), status: from === 'active' ? { $in: [null, 'active'] } : from },
+      update
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // One page of names in a given (non-active) status, in username order. Only
+  // those records carry a status, so the partial username_status_idx stays small.
+  async listUsernamesByStatus(status, { after = null, limit = 50 } = {}) {
+    const filter = { status };
+    if (after) filter.username = { $gt: after };
+
+    return this.collection.find(filter, {
+      projection: {
+        _id: 0, username: 1, status: 1, statusReason: 1, statusChangedBy: 1,
+        statusChangedAt: 1, quarantinedUntil: 1, createdAt: 1
+      }
+    })
+      .sort({ username: 1 })
+      .hint('username_status_idx')
+      .limit(limit)
+      .toArray();
+  }
+
+  // Deletes only if still quarantined, so concurrent sweepers free each name once
+  async deleteQuarantinedUsername(id) {
+    const result = await this.collection.deleteOne({ _id: id, status: 'quarantined' });
+    return result.deletedCount > 0;
+  }
+
   // Register a new username
   async registerUsername(username, metadata = {}) {
-    try {
-      const document = {
-        username: username.toLowerCase().trim(),
-        originalUsername: username, // Preserve original casing
-        createdAt: new Date(),
-        ...metadata
-      };
+    const normalized = normalizeUsername(username);
+    const document = {
+      username: normalized,
+      skeleton: toSkeleton(normalized),
+      trigrams: trigramsOf(normalized),
+      originalUsername: username, // Preserve original casing
+      createdAt: new Date(),
+      ...metadata
+    };
 
+    try {
       const result = await this.collection.insertOne(document);
       return result.insertedId;
       
     } catch (error) {
       if (error.code === 11000) {
-        throw new Error('Username already exists');
+        throw new UsernameExistsError(document.username);
       }
       throw error;
     }
@@ -147,7 +380,9 @@ class UsernameDatabase {
     
     for (let i = 0; i < usernames.length; i += batchSize) {
       const batch = usernames.slice(i, i + batchSize).map(username => ({
-        username: username.toLowerCase().trim(),
+        username: normalizeUsername(username),
+        skeleton: toSkeleton(username),
+        trigrams: trigramsOf(username),
         originalUsername: username,
         createdAt: new Date(),
         source: 'batch_import'
@@ -162,7 +397,7 @@ class UsernameDatabase {
       } catch (error) {
         // Handle duplicate key errors gracefully
         if (error.code === 11000) {
-          console.warn(`Batch ${i}-${i + batchSize}: Some usernames already exist`);
+          logger.warn('Some usernames in batch already exist', { from: i, to: i + batchSize });
         } else {
           throw error;
         }
@@ -191,15 +426,17 @@ class UsernameDatabase {
       return usernames;
       
     } catch (error) {
-      console.error('Error fetching usernames:', error);
+      logger.error('Error fetching usernames', { error });
       throw error;
     }
   }
 
-  // Stream usernames for large datasets
-  getUsernameStream() {
+  // Stream usernames for large datasets, optionally only those created since a date
+  getUsernameStream(since = null) {
+    const filter = since ? { createdAt: { $gte: since } } : {};
+
     return this.collection.find(
-      {},
+      filter,
       { projection: { username: 1, _id: 0 } }
     ).stream();
   }
@@ -207,11 +444,20 @@ class UsernameDatabase {
   // Get database statistics
   async getStats() {
     try {
-      const stats = await this.collection.stats();
-      const count = await this.collection.countDocuments();
+      // Collection.stats() is gone from the v6 driver; $collStats reports the same numbers
+      const [{ storageStats: stats }] = await this.collection.aggregate([
+        { $collStats: { storageStats: {} } }
+      ]).toArray();
+      const count = await this.collection.estimatedDocumentCount();
+      // Only non-active names carry a status, so this stays on the partial index
+      const statuses = await this.collection.aggregate([
+        { $match: { status: { $exists: true } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]).toArray();
       
       return {
         totalUsernames: count,
+        byStatus: Object.fromEntries(statuses.map(({ _id, count }) => [_id, count])),
         collectionSize: stats.size,
         avgDocumentSize: stats.avgObjSize,
         indexCount: stats.nindexes,
@@ -220,63 +466,114 @@ class UsernameDatabase {
       };
       
     } catch (error) {
-      console.error('Error getting database stats:', error);
+      logger.error('Error getting database stats', { error });
       return null;
     }
   }
 
-  // Username search with pagination (for admin interfaces)
+  // Username search for admin interfaces, see username_search.js for the modes.
+  // exact and prefix pages are keyed on the unique username index: pass a
+  // page's nextCursor (its last username) as `after` to get the next one.
+  // Unlike skip(), which walks every skipped document, this costs the same on
+  // page 1 and page 100,000. fuzzy returns one ranked page.
   async searchUsernames(query, options = {}) {
     const {
-      page = 1,
-      limit = 100,
-      sortBy = 'username',
-      sortOrder = 1
+      mode = 'prefix',
+      after = null,
+      limit = 100
     } = options;
+    const search = parseSearch(query, mode);
 
     try {
-      const filter = query ? {
-        username: { $regex: query, $options: 'i' }
-      } : {};
+      if (search.mode === 'fuzzy') {
+        return await this.fuzzySearchUsernames(search, limit);
+      }
 
-      const skip = (page - 1) * limit;
-      
-      const [results, total] = await Promise.all([
-        this.collection
-          .find(filter)
-          .sort({ [sortBy]: sortOrder })
-          .skip(skip)
-          .limit(limit)
-          .toArray(),
-        this.collection.countDocuments(filter)
-      ]);
+      const username = search.mode === 'exact'
+        ? { $eq: search.query }
+        : { $regex: `^${escapeRegex(search.query)}` }; // anchored, case-sensitive: an index range
+      if (after) username.$gt = after;
+
+      // One extra document tells us whether there is a next page
+      const results = await this.collection
+        .find({ username }, { projection: { trigrams: 0 } })
+        .sort({ username: 1 })
+        .limit(limit + 1)
+        .maxTimeMS(search.timeBudgetMs)
+        .toArray();
+
+      const hasMore = results.length > limit;
+      if (hasMore) results.pop();
 
       return {
         results,
         pagination: {
-          page,
           limit,
-          total,
-          pages: Math.ceil(total / limit)
+          nextCursor: hasMore ? results[results.length - 1].username : null
         }
       };
       
     } catch (error) {
-      console.error('Search error:', error);
+      if (error.code === 50) { // MaxTimeMSExpired
+        throw new SearchError(`${search.mode} search exceeded its ${search.timeBudgetMs}ms budget`, 'timeout');
+      }
+      logger.error('Search error', { error });
       throw error;
     }
   }
 
+  // A name within maxDistance edits shares at least minShared of the query's
+  // trigrams, so it has one of any (count - minShared + 1) of them: only the
+  // rarest that many are looked up in trigram_idx. At most scanLimit names are
+  // read, and the candidateLimit sharing the most are ranked by edit distance.
+  async fuzzySearchUsernames(search, limit) {
+    const deadline = Date.now() + search.timeBudgetMs;
+    const trigrams = trigramsOf(search.query);
+    const minShared = minSharedTrigrams(trigrams.length, search.maxDistance);
+    const lookup = await this.rarestTrigrams(trigrams, trigrams.length - minShared + 1, search);
+
+    const candidates = await this.collection.aggregate([
+      { $match: { trigrams: { $in: lookup } } },
+      { $limit: search.scanLimit },
+      { $addFields: { shared: { $size: { $setIntersection: ['$trigrams', trigrams] } } } },
+      { $match: { shared: { $gte: minShared } } },
+      { $sort: { shared: -1, username: 1 } },
+      { $limit: search.candidateLimit },
+      { $project: { trigrams: 0, shared: 0 } }
+    ], { maxTimeMS: Math.max(1, deadline - Date.now()) }).toArray();
+
+    return {
+      results: rankFuzzyMatches(search.query, candidates, { maxDistance: search.maxDistance, limit }),
+      pagination: { limit, nextCursor: null }
+    };
+  }
+
+  // The `count` trigrams held by the fewest names. Counting stops at
+  // probeLimit: past that, a trigram is just common.
+  async rarestTrigrams(trigrams, count, search) {
+    if (count >= trigrams.length) return trigrams;
+
+    const counts = await Promise.all(trigrams.map(trigram => this.collection.countDocuments(
+      { trigrams: trigram },
+      { limit: search.probeLimit, maxTimeMS: search.timeBudgetMs }
+    )));
+    return trigrams
+      .map((trigram, i) => ({ trigram, count: counts[i] }))
+      .sort((a, b) => a.count - b.count)
+      .slice(0, count)
+      .map(({ trigram }) => trigram);
+  }
+
   // Delete username (for testing/admin)
   async deleteUsername(username) {
     try {
       const result = await this.collection.deleteOne({
-        username: username.toLowerCase()
+        username: normalizeUsername(username)
       });
       return result.deletedCount > 0;
       
     } catch (error) {
-      console.error('Delete error:', error);
+      logger.error('Delete error', { error });
       throw error;
     }
   }
@@ -284,11 +581,17 @@ class UsernameDatabase {
   async disconnect() {
     if (this.client) {
       await this.client.close();
-      console.log('✅ MongoDB disconnected');
+      logger.info('MongoDB disconnected');
     }
   }
 }
 
+// Word lists for generated usernames (sample data, suggestion strategies)
+const USERNAME_WORDS = {
+  prefixes: ['user', 'player', 'gamer', 'pro', 'ninja', 'master', 'super', 'mega'],
+  suffixes: ['123', '456', '789', 'x', 'pro', 'gaming', '2024', 'official']
+};
+
 // Database seeding utility
 class DatabaseSeeder {
   constructor(database) {
@@ -297,8 +600,7 @@ class DatabaseSeeder {
 
   // Generate sample usernames for testing
   generateSampleUsernames(count = 10000) {
-    const prefixes = ['user', 'player', 'gamer', 'pro', 'ninja', 'master', 'super', 'mega'];
-    const suffixes = ['123', '456', '789', 'x', 'pro', 'gaming', '2024', 'official'];
+    const { prefixes, suffixes } = USERNAME_WORDS;
     const usernames = new Set(); // Use Set to avoid duplicates
 
     while (usernames.size < count) {
@@ -365,27 +667,44 @@ const SCHEMA_DOCS = {
   description: 'Stores registered usernames with metadata',
   schema: {
     _id: 'ObjectId - MongoDB auto-generated ID',
-    username: 'String - Normalized lowercase username (indexed, unique)',
+    username: 'String - NFKC-normalized lowercase username (indexed, unique)',
+    skeleton: 'String - Confusable skeleton of username, lookalikes share one (indexed, unique)',
     originalUsername: 'String - Original username with preserved casing',
     createdAt: 'Date - Registration timestamp',
-    status: 'String - Optional: active, suspended, deleted',
+    status: 'String - Optional: quarantined, suspended, deleted (missing = active)',
+    statusReason: 'String - Optional: reason given for the last moderation change',
+    statusChangedBy: 'String - Optional: admin who made the last moderation change',
+    statusChangedAt: 'Date - Optional: time of the last moderation change',
+    moderationLog: 'Array - Optional: { action, from, to, reason, actor, at } per moderation change',
+    quarantinedUntil: 'Date - Optional: when a released/renamed name becomes available again',
+    quarantineReason: 'String - Optional: released or renamed',
+    renamedTo: 'String - Optional: the new name, for quarantined renames',
+    renamedFrom: 'String - Optional: the previous name, for renamed registrations',
+    trigrams: 'Array - Trigrams of username for fuzzy admin search (multikey indexed)',
     metadata: 'Object - Optional: Additional user data',
     source: 'String - Optional: Registration source (web, api, batch)'
   },
   indexes: [
-    { fields: { username: 1 }, unique: true, name: 'username_unique_idx' },
+    { fields: { username: 1 }, unique: true, name: 'username_unique_idx', when: 'unsharded' },
+    { fields: { username: 1 }, name: 'username_idx', when: 'sharded' },
     { fields: { username: 1, createdAt: -1 }, name: 'username_created_idx' },
+    { fields: { skeleton: 1 }, unique: true, name: 'skeleton_unique_idx', partial: 'unless sharded' },
+    { fields: { trigrams: 1 }, name: 'trigram_idx' },
+    { fields: { createdAt: 1 }, name: 'created_at_idx' },
+    { fields: { quarantinedUntil: 1 }, name: 'quarantine_expiry_idx', partial: true },
     { fields: { username: 1, status: 1 }, name: 'username_status_idx', partial: true }
   ],
   sharding: {
-    strategy: 'hashed',
-    key: { username: 'hashed' },
-    rationale: 'Even distribution across shards, good for read/write workload'
+    strategy: 'ranged',
+    key: SHARD_KEY,
+    rationale: 'A unique index must be prefixed by the shard key, and hashed keys cannot be unique, so enforcing one name per lookalike group needs a ranged skeleton key. Skeletons follow the usernames they come from, which spread well.'
   }
 };
 
 module.exports = { 
   UsernameDatabase, 
+  UsernameExistsError,
   DatabaseSeeder, 
+  USERNAME_WORDS,
   SCHEMA_DOCS 
 };
\ No newline at end of file
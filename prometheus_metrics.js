@@ -0,0 +1,134 @@
+// prometheus-metrics.js
+
+// Upper bounds of the latency buckets in ms. Response times are whole
+// milliseconds, so the first bucket holds everything answered within 1 ms.
+const LATENCY_BUCKETS_MS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Estimated like Prometheus' histogram_quantile: linear within the bucket the
+// rank falls in, and the highest finite bound if that is the +Inf bucket.
+// `series` is { counts, count } with one count per bucket plus +Inf.
+function estimateQuantile(buckets, series, q) {
+  if (series.count === 0) return 0;
+  const rank = q * series.count;
+  let cumulative = 0;
+  for (let i = 0; i < series.counts.length; i++) {
+    const previous = cumulative;
+    cumulative += series.counts[i];
+    if (cumulative < rank || series.counts[i] === 0) continue;
+    if (i === buckets.length) return buckets[buckets.length - 1];
+    const lower = i === 0 ? 0 : buckets[i - 1];
+    const upper = buckets[i];
+    return lower + (upper - lower) * ((rank - previous) / series.counts[i]);
+  }
+  return 0;
+}
+
+// Fixed-bucket histogram with one series per label set. Memory depends on the
+// number of label combinations, never on the number of observations.
+class LatencyHistogram {
+  constructor(options = {}) {
+    this.buckets = options.buckets || LATENCY_BUCKETS_MS;
+    this.labelNames = options.labelNames || [];
+    this.series = new Map(); // label values joined -> { labels, counts, sum, count }
+  }
+
+  observe(labels, durationMs) {
+    const key = this.labelNames.map(name => labels[name]).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, counts: new Array(this.buckets.length + 1).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    let index = this.buckets.findIndex(bound => durationMs <= bound);
+    if (index === -1) index = this.buckets.length; // +Inf
+    series.counts[index]++;
+    series.sum += durationMs;
+    series.count++;
+  }
+
+  // Series whose labels match every given label (all series when none are given),
+  // merged into one
+  merged(filter = {}) {
+    const total = { counts: new Array(this.buckets.length + 1).fill(0), sum: 0, count: 0 };
+    for (const series of this.series.values()) {
+      if (Object.entries(filter).some(([name, value]) => series.labels[name] !== value)) continue;
+      series.counts.forEach((count, i) => { total.counts[i] += count; });
+      total.sum += series.sum;
+      total.count += series.count;
+    }
+    return total;
+  }
+
+  summarize(filter = {}) {
+    const series = this.merged(filter);
+    const round = value => Number(value.toFixed(2));
+    return {
+      count: series.count,
+      avg_ms: series.count > 0 ? round(series.sum / series.count) : 0,
+      p50_ms: round(estimateQuantile(this.buckets, series, 0.5)),
+      p95_ms: round(estimateQuantile(this.buckets, series, 0.95)),
+      p99_ms: round(estimateQuantile(this.buckets, series, 0.99))
+    };
+  }
+
+  // One summary per label combination, e.g. { 'check': { 'cache': {...} } } for
+  // labelNames ['route', 'source']
+  summarizeBy() {
+    const summaries = {};
+    for (const series of this.series.values()) {
+      let level = summaries;
+      const values = this.labelNames.map(name => series.labels[name]);
+      values.slice(0, -1).forEach((value) => { level = level[value] = level[value] || {}; });
+      level[values[values.length - 1]] = this.summarize(series.labels);
+    }
+    return summaries;
+  }
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Prometheus text exposition format (version 0.0.4). Each metric is
+// { name, help, type: 'counter' | 'gauge', samples: [{ labels, value }] } or
+// { name, help, type: 'histogram', histogram } with latencies exported in seconds.
+function renderPrometheus(metrics) {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type !== 'histogram') {
+      for (const { labels = {}, value } of metric.samples) {
+        lines.push(`${metric.name}${formatLabels(labels)} ${Number(value)}`);
+      }
+      continue;
+    }
+
+    const { histogram } = metric;
+    for (const series of histogram.series.values()) {
+      let cumulative = 0;
+      histogram.buckets.forEach((bound, i) => {
+        cumulative += series.counts[i];
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound / 1000 })} ${cumulative}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum / 1000}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  LATENCY_BUCKETS_MS,
+  LatencyHistogram,
+  estimateQuantile,
+  renderPrometheus
+};
@@ -0,0 +1,59 @@
+// rate-limiter.js
+
+// In-process token buckets, one per caller id. A bucket holds up to `burst`
+// tokens and refills at `perMinute` tokens a minute; each request takes one.
+// Buckets are per instance, so N instances allow up to N times the limit.
+class TokenBucketLimiter {
+  constructor(options = {}) {
+    this.buckets = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs || 60 * 1000).unref();
+  }
+
+  // Returns { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+  take(id, { perMinute, burst }, cost = 1) {
+    const now = Date.now();
+    const ratePerMs = perMinute / 60000;
+    const bucket = this.buckets.get(id) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    bucket.fullAt = now + (burst - bucket.tokens) / ratePerMs;
+    this.buckets.set(id, bucket);
+
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((bucket.fullAt - now) / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - bucket.tokens) / ratePerMs / 1000)
+    };
+  }
+
+  // A bucket that has refilled completely is the same as no bucket
+  sweep() {
+    const now = Date.now();
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(id);
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Standard RateLimit-* headers (IETF draft) plus Retry-After when rejected
+function setRateLimitHeaders(res, result) {
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+  if (!result.allowed) res.set('Retry-After', String(result.retryAfterSeconds));
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  setRateLimitHeaders
+};
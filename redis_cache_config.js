@@ -1,5 +1,29 @@
 // redis-config.js
 const redis = require('redis');
+const logger = require('./logger').logger.child({ component: 'redis' });
+
+// Cache writes race with registrations: a lookup reads storage, a
+// registration lands and writes "taken", then the lookup caches its stale
+// "available". Writers (replaceUsernameStatus, invalidateUsername) bump a
+// per-name version; lookups read it (getVersions) before storage and cache
+// their answer only if it hasn't moved (setStatusesIfUnchanged).
+const SET_IF_UNCHANGED_SCRIPT = `
+local written = 0
+for i = 1, #KEYS, 2 do
+  local status, version = ARGV[i + 1], ARGV[i + 2]
+  if (redis.call('GET', KEYS[i + 1]) or '0') == version then
+    redis.call('SET', KEYS[i], status, 'EX', ARGV[1])
+    written = written + 1
+  end
+end
+return written`;
+
+// Both hold keys or neither: a crash between two SETs would leave a name held
+// by a token that can never confirm it
+const CREATE_HOLD_SCRIPT = `
+if not redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[3]) then return 0 end
+redis.call('SET', KEYS[2], ARGV[2], 'PX', ARGV[3])
+return 1`;
 
 class RedisCache {
   constructor(config = {}) {
@@ -7,108 +31,138 @@ class RedisCache {
       url: config.url || 'redis://localhost:6379',
       ttl: config.ttl || 3600, // 1 hour default
       keyPrefix: config.keyPrefix || 'username:',
-      maxRetries: config.maxRetries || 3,
+      versionPrefix: config.versionPrefix || 'username-version:',
       retryDelay: config.retryDelay || 1000,
+      maxRetryDelay: config.maxRetryDelay || 30 * 1000,
       ...config
     };
     
     this.client = null;
     this.connected = false;
+    this.outageLogged = false;
   }
 
+  // Reconnects forever, backing off from retryDelay up to maxRetryDelay, so the
+  // cache comes back on its own after a Redis outage (or one at startup).
+  // config.client replaces the node-redis client (tests pass a stand-in).
   async connect() {
     try {
-      this.client = redis.createClient({
+      this.client = this.config.client || redis.createClient({
         url: this.config.url,
-        retry_strategy: (options) => {
-          if (options.error && options.error.code === 'ECONNREFUSED') {
-            console.error('Redis connection refused');
-            return new Error('Redis connection refused');
-          }
-          
-          if (options.times_connected > this.config.maxRetries) {
-            console.error('Redis max retries exceeded');
-            return new Error('Redis max retries exceeded');
-          }
-          
-          return Math.min(options.attempt * this.config.retryDelay, 3000);
+        socket: {
+          reconnectStrategy: (retries) => this.reconnectDelay(retries)
         }
       });
 
+      // Every failed reconnect attempt lands here too: log the outage once
       this.client.on('error', (err) => {
-        console.error('Redis error:', err);
+        if (!this.outageLogged) logger.error('Redis error', { error: err });
+        this.outageLogged = true;
         this.connected = false;
       });
 
       this.client.on('connect', () => {
-        console.log('Redis connecting...');
+        logger.info('Redis connecting');
       });
 
       this.client.on('ready', () => {
-        console.log('✅ Redis ready');
+        logger.info('Redis ready');
         this.connected = true;
+        this.outageLogged = false;
       });
 
       this.client.on('end', () => {
-        console.log('Redis connection ended');
+        logger.info('Redis connection ended');
         this.connected = false;
       });
 
       await this.client.connect();
       
     } catch (error) {
-      console.error('Failed to connect to Redis:', error);
+      logger.error('Failed to connect to Redis', { error });
       throw error;
     }
   }
 
+  reconnectDelay(retries) {
+    const delay = Math.min(this.config.retryDelay * 2 ** retries, this.config.maxRetryDelay);
+    if (retries > 0 && retries % 10 === 0) {
+      logger.warn('Redis still unreachable, retrying', { retries, delay_ms: delay });
+    }
+    return delay;
+  }
+
+  statusKey(username) {
+    return this.config.keyPrefix + username.toLowerCase();
+  }
+
+  versionKey(username) {
+    return this.config.versionPrefix + username.toLowerCase();
+  }
+
   // Get username availability from cache
   async getUsernameAvailability(username) {
+    const status = await this.getUsernameStatus(username);
+    return status === null ? null : status === 'available';
+  }
+
+  // Cached status: 'available', 'taken', or why a name is unavailable
+  // ('quarantined', ...). null on a miss.
+  async getUsernameStatus(username) {
     if (!this.connected) {
       throw new Error('Redis not connected');
     }
 
     try {
       const key = this.config.keyPrefix + username.toLowerCase();
-      const result = await this.client.get(key);
-      
-      if (result === null) {
-        return null; // Cache miss
-      }
-      
-      return result === 'available';
+      return await this.client.get(key);
       
     } catch (error) {
-      console.warn('Redis get error:', error);
+      logger.warn('Redis get error', { error });
       return null; // Treat as cache miss on error
     }
   }
 
+  // Cached statuses of several names in one round trip: Map of name ->
+  // status, or null on a miss
+  async getUsernameStatuses(usernames) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const statuses = await this.client.mGet(usernames.map(username => this.config.keyPrefix + username.toLowerCase()));
+    return new Map(usernames.map((username, i) => [username, statuses[i] ?? null]));
+  }
+
   // Cache username availability
   async setUsernameAvailability(username, available, ttl = null) {
+    return this.setUsernameStatus(username, available ? 'available' : 'taken', ttl);
+  }
+
+  async setUsernameStatus(username, status, ttl = null) {
     if (!this.connected) {
-      console.warn('Redis not connected, skipping cache write');
+      logger.warn('Redis not connected, skipping cache write');
       return false;
     }
 
     try {
       const key = this.config.keyPrefix + username.toLowerCase();
-      const value = available ? 'available' : 'taken';
       const expiry = ttl || this.config.ttl;
       
-      await this.client.setEx(key, expiry, value);
+      await this.client.setEx(key, expiry, status);
       return true;
       
     } catch (error) {
-      console.warn('Redis set error:', error);
+      logger.warn('Redis set error', { error });
       return false;
     }
   }
 
-  // Batch cache operations for better performance
+  // Batch cache operations for better performance. Values are availability
+  // booleans or status strings, as in setUsernameStatus.
   async setMultipleUsernames(usernameStatusMap, ttl = null) {
     if (!this.connected) {
-      console.warn('Redis not connected, skipping batch cache write');
+      logger.warn('Redis not connected, skipping batch cache write');
       return false;
     }
 
@@ -118,7 +172,7 @@ class RedisCache {
       
       for (const [username, available] of Object.entries(usernameStatusMap)) {
         const key = this.config.keyPrefix + username.toLowerCase();
-        const value = available ? 'available' : 'taken';
+        const value = typeof available === 'string' ? available : (available ? 'available' : 'taken');
         pipeline.setEx(key, expiry, value);
       }
       
@@ -126,11 +180,28 @@ class RedisCache {
       return true;
       
     } catch (error) {
-      console.warn('Redis batch set error:', error);
+      logger.warn('Redis batch set error', { error });
       return false;
     }
   }
 
+  // Writer side: bumps the name's version, so lookups that read storage before
+  // this write can't overwrite it, and sets the status (or, with null, drops it)
+  async replaceUsernameStatus(username, status, ttl = null) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const expiry = ttl || this.config.ttl;
+    const versionKey = this.versionKey(username);
+    const transaction = this.client.multi()
+      .incr(versionKey)
+      .expire(versionKey, expiry);
+    if (status === null) transaction.del(this.statusKey(username));
+    else transaction.setEx(this.statusKey(username), expiry, status);
+    await transaction.exec();
+  }
+
   // Invalidate cache entry
   async invalidateUsername(username) {
     if (!this.connected) {
@@ -138,16 +209,96 @@ class RedisCache {
     }
 
     try {
-      const key = this.config.keyPrefix + username.toLowerCase();
-      await this.client.del(key);
+      await this.replaceUsernameStatus(username, null);
       return true;
       
     } catch (error) {
-      console.warn('Redis delete error:', error);
+      logger.warn('Redis delete error', { error });
       return false;
     }
   }
 
+  // Reader side: current versions ('0' if never written), read before storage
+  async getVersions(usernames) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const versions = await this.client.mGet(usernames.map(username => this.versionKey(username)));
+    return new Map(usernames.map((username, i) => [username, versions[i] || '0']));
+  }
+
+  // Caches { username, status, version } entries whose version is still the
+  // one read before storage. Returns how many were written.
+  async setStatusesIfUnchanged(entries, ttl = null) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+    if (entries.length === 0) return 0;
+
+    const keys = [];
+    const args = [String(ttl || this.config.ttl)];
+    for (const { username, status, version } of entries) {
+      keys.push(this.statusKey(username), this.versionKey(username));
+      args.push(status, String(version));
+    }
+    return this.client.eval(SET_IF_UNCHANGED_SCRIPT, { keys, arguments: args });
+  }
+
+  // Username holds. Two keys per hold, both expiring with it:
+  //   <holdPrefix>name:<skeleton> -> token   (one hold per name, SET NX)
+  //   <holdPrefix>token:<token>   -> hold JSON
+  holdKeys(skeleton, token) {
+    const prefix = this.config.holdPrefix || 'hold:';
+    return { nameKey: `${prefix}name:${skeleton}`, tokenKey: `${prefix}token:${token}` };
+  }
+
+  // Returns false if the name is already held
+  async createHold(hold, ttlMs) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const { nameKey, tokenKey } = this.holdKeys(hold.skeleton, hold.token);
+    const created = await this.client.eval(CREATE_HOLD_SCRIPT, {
+      keys: [nameKey, tokenKey],
+      arguments: [hold.token, JSON.stringify(hold), String(ttlMs)]
+    });
+    return created === 1;
+  }
+
+  async findHeld(skeletons) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const keys = skeletons.map(skeleton => this.holdKeys(skeleton, '').nameKey);
+    const tokens = await this.client.mGet(keys);
+    return skeletons.filter((skeleton, i) => tokens[i] !== null);
+  }
+
+  // Atomically removes the hold for this token and returns it, or null if it expired
+  async takeHold(token) {
+    if (!this.connected) {
+      throw new Error('Redis not connected');
+    }
+
+    const { tokenKey } = this.holdKeys('', token);
+    const data = await this.client.get(tokenKey);
+    if (data === null) return null;
+
+    const hold = JSON.parse(data);
+    const { nameKey } = this.holdKeys(hold.skeleton, token);
+    // Only the caller that deletes the token key owns the hold
+    const taken = await this.client.eval(
+      `if redis.call('DEL', KEYS[2]) == 0 then return 0 end
+       if redis.call('GET', KEYS[1]) == ARGV[1] then redis.call('DEL', KEYS[1]) end
+       return 1`,
+      { keys: [nameKey, tokenKey], arguments: [token] }
+    );
+    return taken === 1 ? hold : null;
+  }
+
   // Get cache statistics
   async getStats() {
     if (!this.connected) {
@@ -157,6 +308,7 @@ class RedisCache {
     try {
       const info = await this.client.info('stats');
       const keyspace = await this.client.info('keyspace');
+      const memory = await this.client.info('memory');
       
       return {
         connected: this.connected,
@@ -164,19 +316,19 @@ class RedisCache {
         keyspace_hits: this.extractStat(info, 'keyspace_hits'),
         keyspace_misses: this.extractStat(info, 'keyspace_misses'),
         total_keys: this.extractKeyspaceKeys(keyspace),
-        memory_usage: await this.client.memory('usage'),
+        memory_usage: this.extractStat(memory, 'used_memory'),
         hit_rate: this.calculateHitRate(info)
       };
       
     } catch (error) {
-      console.warn('Redis stats error:', error);
+      logger.warn('Redis stats error', { error });
       return null;
     }
   }
 
   // Warm up cache with popular usernames
   async warmupCache(popularUsernames) {
-    console.log(`Warming up cache with ${popularUsernames.length} popular usernames...`);
+    logger.info('Warming up cache with popular usernames', { usernames: popularUsernames.length });
     
     const batchSize = 100;
     for (let i = 0; i < popularUsernames.length; i += batchSize) {
@@ -191,7 +343,7 @@ class RedisCache {
       await this.setMultipleUsernames(statusMap);
     }
     
-    console.log('✅ Cache warmup completed');
+    logger.info('Cache warmup completed');
   }
 
   // Flush all username-related keys (use carefully!)
@@ -204,21 +356,22 @@ class RedisCache {
       const keys = await this.client.keys(this.config.keyPrefix + '*');
       if (keys.length > 0) {
         await this.client.del(keys);
-        console.log(`Flushed ${keys.length} username cache entries`);
+        logger.info('Flushed username cache entries', { keys: keys.length });
       }
       return true;
       
     } catch (error) {
-      console.warn('Redis flush error:', error);
+      logger.warn('Redis flush error', { error });
       return false;
     }
   }
 
+  // Also stops a reconnect loop that hasn't reached Redis yet
   async disconnect() {
-    if (this.client) {
-      await this.client.quit();
-      this.connected = false;
-    }
+    if (!this.client) return;
+    if (this.connected) await this.client.quit();
+    else if (this.client.isOpen) await this.client.disconnect();
+    this.connected = false;
   }
 
   // Utility methods
@@ -258,11 +411,11 @@ class RedisCluster {
     this.client = new Cluster(this.nodes, this.options);
     
     this.client.on('error', (err) => {
-      console.error('Redis Cluster error:', err);
+      logger.error('Redis Cluster error', { error: err });
     });
 
     this.client.on('ready', () => {
-      console.log('✅ Redis Cluster ready');
+      logger.info('Redis Cluster ready');
     });
 
     return this.client;
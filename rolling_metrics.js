@@ -0,0 +1,96 @@
+// rolling-metrics.js
+const { estimateQuantile } = require('./prometheus_metrics');
+
+const ROLLING_WINDOWS = { '1m': 60, '5m': 300, '1h': 3600 };
+
+// Rolling-window figures computed from lifetime totals. Every intervalMs the
+// totals are snapshotted; a window is the difference between the totals now
+// and the snapshot from that long ago. Nothing on the request path changes,
+// and memory is one small snapshot per interval of the longest window.
+//
+// sample() returns the current totals: { requests, bloomFilterHits, cacheHits,
+// cacheMisses, localCacheHits, localCacheMisses, databaseQueries,
+// latency: { counts, sum, count } }.
+class RollingMetrics {
+  constructor(options = {}) {
+    this.sample = options.sample;
+    this.buckets = options.buckets;
+    this.intervalMs = options.intervalMs || 5000;
+    this.windows = options.windows || ROLLING_WINDOWS;
+    this.retainMs = Math.max(...Object.values(this.windows)) * 1000 + this.intervalMs;
+
+    this.snapshots = [];
+    this.timer = null;
+  }
+
+  start() {
+    this.takeSnapshot();
+    this.timer = setInterval(() => this.takeSnapshot(), this.intervalMs).unref();
+  }
+
+  takeSnapshot() {
+    const now = Date.now();
+    this.snapshots.push({ at: now, ...this.sample() });
+    while (this.snapshots.length > 1 && this.snapshots[0].at < now - this.retainMs) {
+      this.snapshots.shift();
+    }
+  }
+
+  // The oldest snapshot still inside the window (the first one if the process is younger)
+  baseFor(seconds, now) {
+    const from = now - seconds * 1000;
+    return this.snapshots.find(snapshot => snapshot.at >= from) || this.snapshots[this.snapshots.length - 1];
+  }
+
+  windowStats(seconds, current = this.sample(), now = Date.now()) {
+    const base = this.baseFor(seconds, now) || { at: now, ...current }; // not started yet
+    const delta = field => current[field] - base[field];
+    const coveredSeconds = Math.max((now - base.at) / 1000, 0.001);
+
+    const requests = delta('requests');
+    const cacheLookups = delta('cacheHits') + delta('cacheMisses');
+    const localCacheLookups = delta('localCacheHits') + delta('localCacheMisses');
+    const latency = {
+      counts: current.latency.counts.map((count, i) => count - base.latency.counts[i]),
+      count: current.latency.count - base.latency.count,
+      sum: current.latency.sum - base.latency.sum
+    };
+    const ratio = (part, whole) => (whole > 0 ? Number((part / whole * 100).toFixed(2)) : 0);
+    const round = value => Number(value.toFixed(2));
+
+    return {
+      window_seconds: seconds,
+      covered_seconds: Math.round(coveredSeconds),
+      requests,
+      request_rate: round(requests / coveredSeconds), // per second
+      bloom_filter_hit_rate: ratio(delta('bloomFilterHits'), requests),
+      local_cache_hit_rate: ratio(delta('localCacheHits'), localCacheLookups),
+      cache_hit_rate: ratio(delta('cacheHits'), cacheLookups),
+      db_fallback_rate: ratio(delta('databaseQueries'), requests),
+      avg_ms: latency.count > 0 ? round(latency.sum / latency.count) : 0,
+      p50_ms: round(estimateQuantile(this.buckets, latency, 0.5)),
+      p95_ms: round(estimateQuantile(this.buckets, latency, 0.95)),
+      p99_ms: round(estimateQuantile(this.buckets, latency, 0.99))
+    };
+  }
+
+  // { '1m': {...}, '5m': {...}, '1h': {...} }, all against the same current totals
+  getWindows() {
+    const now = Date.now();
+    const current = this.sample();
+    const windows = {};
+    for (const [name, seconds] of Object.entries(this.windows)) {
+      windows[name] = this.windowStats(seconds, current, now);
+    }
+    return windows;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  ROLLING_WINDOWS,
+  RollingMetrics
+};
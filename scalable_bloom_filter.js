@@ -0,0 +1,177 @@
+// scalable-bloom-filter.js
+const BloomFilter = require('./bloom_filter');
+const logger = require('./logger').logger.child({ component: 'bloom_filter' });
+
+// Scalable Bloom filter (Almeida et al., 2007). Starts with one slice sized for
+// expectedElements; when a slice is full a new one is added with growthFactor x
+// the capacity and tighteningRatio x the error rate. Slice errors form a
+// geometric series, so the composite false-positive rate stays at or below the
+// configured rate no matter how many slices get added.
+class ScalableBloomFilter {
+  constructor(expectedElements = 1000000, falsePositiveRate = 0.001, options = {}) {
+    this.expectedElements = expectedElements;
+    this.falsePositiveRate = falsePositiveRate;
+    this.growthFactor = options.growthFactor || 2;
+    this.tighteningRatio = options.tighteningRatio || 0.85;
+    this.hashStrategy = options.hashStrategy;
+    this.elementCount = 0;
+    this.slices = [];
+
+    this.addSlice();
+  }
+
+  // Slice i holds expectedElements * s^i names at p * (1 - r) * r^i
+  addSlice() {
+    const index = this.slices.length;
+    const capacity = Math.ceil(this.expectedElements * Math.pow(this.growthFactor, index));
+    const errorRate = this.falsePositiveRate * (1 - this.tighteningRatio) * Math.pow(this.tighteningRatio, index);
+
+    if (index > 0) {
+      logger.info('ScalableBloomFilter growing', { slice: index + 1, capacity });
+    }
+
+    const slice = new BloomFilter(capacity, errorRate, { hashStrategy: this.hashStrategy });
+    this.slices.push(slice);
+    return slice;
+  }
+
+  currentSlice() {
+    const slice = this.slices[this.slices.length - 1];
+    return slice.elementCount >= slice.expectedElements ? this.addSlice() : slice;
+  }
+
+  add(item) {
+    this.currentSlice().add(item);
+    this.elementCount++;
+  }
+
+  mightContain(item) {
+    return this.slices.some(slice => slice.mightContain(item));
+  }
+
+  addBatch(usernames) {
+    BloomFilter.prototype.addBatch.call(this, usernames);
+  }
+
+  getStats() {
+    const sliceStats = this.slices.map(slice => slice.getStats());
+
+    // P(false positive) = 1 - P(every slice says no)
+    const compositeFalsePositiveRate = 1 - sliceStats.reduce(
+      (product, stats) => product * (1 - Number(stats.estimatedFalsePositiveRate)),
+      1
+    );
+    const capacity = sliceStats.reduce((sum, stats) => sum + stats.expectedElements, 0);
+
+    return {
+      type: 'scalable',
+      elementCount: this.elementCount,
+      expectedElements: this.expectedElements,
+      capacity,
+      fillRatio: (this.elementCount / capacity).toFixed(4),
+      configuredFalsePositiveRate: this.falsePositiveRate,
+      estimatedFalsePositiveRate: compositeFalsePositiveRate.toFixed(6),
+      bitArraySize: sliceStats.reduce((sum, stats) => sum + stats.bitArraySize, 0),
+      hashFunctionCount: sliceStats[sliceStats.length - 1].hashFunctionCount,
+      hashStrategy: sliceStats[sliceStats.length - 1].hashStrategy,
+      memoryUsageKB: this.slices.reduce((sum, slice) => sum + slice.bitArray.length / 1024, 0).toFixed(2),
+      growthFactor: this.growthFactor,
+      tighteningRatio: this.tighteningRatio,
+      sliceCount: this.slices.length,
+      slices: sliceStats.map(stats => ({
+        elementCount: stats.elementCount,
+        expectedElements: stats.expectedElements,
+        fillRatio: stats.fillRatio,
+        falsePositiveRate: stats.configuredFalsePositiveRate,
+        estimatedFalsePositiveRate: stats.estimatedFalsePositiveRate,
+        bitArraySize: stats.bitArraySize,
+        hashFunctionCount: stats.hashFunctionCount
+      }))
+    };
+  }
+
+  serialize() {
+    return {
+      type: 'scalable',
+      elementCount: this.elementCount,
+      expectedElements: this.expectedElements,
+      falsePositiveRate: this.falsePositiveRate,
+      growthFactor: this.growthFactor,
+      tighteningRatio: this.tighteningRatio,
+      slices: this.slices.map(slice => slice.serialize())
+    };
+  }
+
+  static deserialize(data) {
+    const filter = Object.create(ScalableBloomFilter.prototype);
+    filter.expectedElements = data.expectedElements;
+    filter.falsePositiveRate = data.falsePositiveRate;
+    filter.growthFactor = data.growthFactor;
+    filter.tighteningRatio = data.tighteningRatio;
+    filter.elementCount = data.elementCount;
+    filter.slices = data.slices.map(slice => BloomFilter.deserialize(slice));
+    filter.hashStrategy = filter.slices[0].hashStrategy.name;
+    return filter;
+  }
+
+  // Parameter block, then each slice as a length-prefixed BloomFilter buffer
+  toBuffer() {
+    const params = Buffer.alloc(BINARY_PARAMS_SIZE);
+    params.writeDoubleLE(this.expectedElements, 0);
+    params.writeDoubleLE(this.falsePositiveRate, 8);
+    params.writeDoubleLE(this.growthFactor, 16);
+    params.writeDoubleLE(this.tighteningRatio, 24);
+    params.writeDoubleLE(this.elementCount, 32);
+    params.writeUInt32LE(this.slices.length, 40);
+
+    const parts = [params];
+    for (const slice of this.slices) {
+      const sliceBuffer = slice.toBuffer();
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(sliceBuffer.length, 0);
+      parts.push(length, sliceBuffer);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  static fromBuffer(buffer, formatVersion) {
+    if (buffer.length < BINARY_PARAMS_SIZE) {
+      throw new Error('Scalable Bloom filter buffer is truncated');
+    }
+
+    const filter = Object.create(ScalableBloomFilter.prototype);
+    filter.expectedElements = buffer.readDoubleLE(0);
+    filter.falsePositiveRate = buffer.readDoubleLE(8);
+    filter.growthFactor = buffer.readDoubleLE(16);
+    filter.tighteningRatio = buffer.readDoubleLE(24);
+    filter.elementCount = buffer.readDoubleLE(32);
+    filter.slices = [];
+
+    const sliceCount = buffer.readUInt32LE(40);
+    let offset = BINARY_PARAMS_SIZE;
+    for (let i = 0; i < sliceCount; i++) {
+      if (offset + 4 > buffer.length) {
+        throw new Error('Scalable Bloom filter buffer is truncated');
+      }
+      const length = buffer.readUInt32LE(offset);
+      offset += 4;
+      filter.slices.push(BloomFilter.fromBuffer(buffer.subarray(offset, offset + length), formatVersion));
+      offset += length;
+    }
+
+    if (filter.slices.length === 0) {
+      throw new Error('Scalable Bloom filter buffer has no slices');
+    }
+
+    // Later slices keep hashing the same way as the ones restored here
+    filter.hashStrategy = filter.slices[0].hashStrategy.name;
+
+    return filter;
+  }
+}
+
+// expectedElements, falsePositiveRate, growthFactor, tighteningRatio, elementCount (f64) + sliceCount (u32)
+const BINARY_PARAMS_SIZE = 44;
+
+module.exports = ScalableBloomFilter;
@@ -0,0 +1,38 @@
+// single-flight.js
+
+// Deduplicates concurrent work by key: while a call for a key is running,
+// later calls for the same key get its promise instead of starting their own.
+// Nothing is kept once the call settles, so this is not a cache. Callers
+// share failures as well as results.
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map(); // key -> promise
+    this.stats = { calls: 0, executions: 0, shared: 0 };
+  }
+
+  // Resolves to fn()'s result; `shared` is true if another caller started it
+  async run(key, fn) {
+    this.stats.calls++;
+    const running = this.inFlight.get(key);
+    if (running) {
+      this.stats.shared++;
+      return { value: await running, shared: true };
+    }
+
+    this.stats.executions++;
+    const promise = Promise.resolve().then(fn).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return { value: await promise, shared: false };
+  }
+
+  getStats() {
+    return {
+      in_flight: this.inFlight.size,
+      calls: this.stats.calls,
+      executions: this.stats.executions,
+      shared: this.stats.shared
+    };
+  }
+}
+
+module.exports = { SingleFlight };
@@ -0,0 +1,81 @@
+// admin-routes.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryUsernameStore } = require('../username_store');
+const { startService, adminHeaders } = require('./harness');
+
+// Memory store holding `count` suspended names
+async function suspendedStore(count) {
+  const store = new MemoryUsernameStore();
+  for (let i = 0; i < count; i++) {
+    await store.register(`suspended_${i}`);
+    await store.changeStatus(`suspended_${i}`, 'suspend', { reason: 'test', actor: 'test' });
+  }
+  return store;
+}
+
+// Memory store whose stats query fails with an internal-looking message
+function failingStatsStore() {
+  const store = new MemoryUsernameStore();
+  store.getStats = async () => { throw new Error('connection to db-7.internal:27017 reset'); };
+  return store;
+}
+
+describe('admin routes', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('keeps error details out of 500s in production', async () => {
+    service = await startService({ env: { NODE_ENV: 'production' }, store: failingStatsStore() });
+
+    const { status, body } = await service.request('GET', '/admin/stats', { headers: adminHeaders });
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Stats failed');
+    assert.equal(body.message, undefined);
+    assert.ok(body.request_id);
+  });
+
+  it('keeps error details out of policy write failures in production', async () => {
+    service = await startService({ env: { NODE_ENV: 'production', POLICY_FILE: '/nonexistent-dir/policy.json' } });
+
+    const added = await service.request('POST', '/admin/policy/reserved', { headers: adminHeaders, body: { entries: ['acme'] } });
+    assert.equal(added.status, 500);
+    assert.equal(added.body.error, 'Adding policy entries failed');
+    assert.doesNotMatch(JSON.stringify(added.body), /nonexistent-dir/);
+
+    const invalid = await service.request('POST', '/admin/policy/nonsense', { headers: adminHeaders, body: { entries: ['acme'] } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('ends status paging without a cursor to an empty page', async () => {
+    service = await startService({ store: await suspendedStore(4) });
+
+    const first = await service.request('GET', '/admin/usernames?status=suspended&limit=2', { headers: adminHeaders });
+    assert.equal(first.body.results.length, 2);
+    assert.ok(first.body.next_cursor);
+
+    const last = await service.request('GET', `/admin/usernames?status=suspended&limit=2&after=${first.body.next_cursor}`, { headers: adminHeaders });
+    assert.equal(last.body.results.length, 2);
+    assert.equal(last.body.next_cursor, null);
+  });
+
+  it('rejects a limit below 1', async () => {
+    service = await startService();
+
+    for (const limit of ['0', '-5', 'ten']) {
+      const { status } = await service.request('GET', `/admin/usernames?status=suspended&limit=${limit}`, { headers: adminHeaders });
+      assert.equal(status, 400, limit);
+    }
+  });
+
+  it('includes error details outside production', async () => {
+    service = await startService({ store: failingStatsStore() });
+
+    const { status, body } = await service.request('GET', '/admin/stats', { headers: adminHeaders });
+    assert.equal(status, 500);
+    assert.match(body.message, /reset/);
+  });
+});
@@ -0,0 +1,77 @@
+// api-keys.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ApiKeyManager, MemoryApiKeyStore } = require('../api_keys');
+const { startService } = require('./harness');
+
+async function checkTimes(service, count, headers = {}) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    statuses.push((await service.request('GET', '/username/same_name?suggestions=false', { headers })).status);
+  }
+  return statuses;
+}
+
+describe('anonymous rate limits', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('does not limit anonymous callers by default', async () => {
+    service = await startService();
+
+    const statuses = await checkTimes(service, 30);
+    assert.ok(statuses.every(status => status === 200));
+  });
+
+  it('limits anonymous callers per IP once ANONYMOUS_RATE_LIMIT is set', async () => {
+    service = await startService({ env: { ANONYMOUS_RATE_LIMIT: '60', ANONYMOUS_BURST: '3' } });
+
+    const statuses = await checkTimes(service, 4);
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  it('ignores X-Forwarded-For unless TRUST_PROXY covers the proxy', async () => {
+    service = await startService({ env: { ANONYMOUS_RATE_LIMIT: '60', ANONYMOUS_BURST: '1' } });
+
+    const first = await checkTimes(service, 1, { 'X-Forwarded-For': '203.0.113.1' });
+    const second = await checkTimes(service, 1, { 'X-Forwarded-For': '203.0.113.2' });
+    assert.deepEqual([...first, ...second], [200, 429]);
+  });
+
+  it('gives each forwarded client its own bucket behind a trusted proxy', async () => {
+    service = await startService({ env: { ANONYMOUS_RATE_LIMIT: '60', ANONYMOUS_BURST: '1', TRUST_PROXY: 'loopback' } });
+
+    const first = await checkTimes(service, 2, { 'X-Forwarded-For': '203.0.113.1' });
+    const second = await checkTimes(service, 1, { 'X-Forwarded-For': '203.0.113.2' });
+    assert.deepEqual([...first, ...second], [200, 429, 200]);
+  });
+});
+
+describe('ApiKeyManager', () => {
+  it('keeps a bounded cache however many made-up keys arrive', async () => {
+    const store = new MemoryApiKeyStore();
+    let lookups = 0;
+    const findById = store.findById.bind(store);
+    store.findById = async (id) => {
+      lookups++;
+      return findById(id);
+    };
+    const apiKeys = new ApiKeyManager({ getStore: () => store, cacheMaxEntries: 100 });
+
+    for (let i = 0; i < 1000; i++) {
+      const madeUp = `uk_${crypto.randomBytes(8).toString('hex')}.${crypto.randomBytes(32).toString('base64url')}`;
+      assert.equal(await apiKeys.authenticate(madeUp), null);
+    }
+    assert.equal(apiKeys.cache.entries.size, 100);
+
+    // A repeated unknown id is still answered from the cache
+    const repeated = `uk_${'0'.repeat(16)}.${'a'.repeat(43)}`;
+    await apiKeys.authenticate(repeated);
+    await apiKeys.authenticate(repeated);
+    assert.equal(lookups, 1001);
+  });
+});
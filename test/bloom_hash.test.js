@@ -0,0 +1,65 @@
+// bloom-hash.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BloomFilter = require('../bloom_filter');
+const { HASH_STRATEGIES, getHashStrategy, getHashStrategyById, murmur3 } = require('../bloom_hash');
+
+const names = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}_${i}`);
+
+describe('Bloom filter hash strategies', () => {
+  // Pinned: snapshots written with murmur3 only load if these never change
+  it('hashes with murmur3 exactly as before', () => {
+    assert.equal(murmur3('', 0), 0);
+    assert.equal(murmur3('alice', 0), 811107759);
+    assert.equal(murmur3('alice', 1), 3023297100);
+  });
+
+  it('gives murmur3 an odd second hash', () => {
+    for (const name of names('user', 100)) {
+      const [, hash2] = getHashStrategy('murmur3').hashPair(name);
+      assert.equal(hash2 % 2, 1);
+    }
+  });
+
+  for (const strategy of Object.keys(HASH_STRATEGIES)) {
+    it(`keeps the configured false-positive rate with ${strategy}`, () => {
+      const filter = new BloomFilter(2000, 0.01, { hashStrategy: strategy });
+      filter.addBatch(names('member', 2000));
+
+      const falsePositives = names('stranger', 10000).filter(name => filter.mightContain(name)).length;
+
+      assert.ok(names('member', 2000).every(name => filter.mightContain(name)));
+      assert.ok(falsePositives / 10000 < 0.02, `${falsePositives} false positives in 10000`);
+    });
+  }
+
+  it('looks strategies up by name and by snapshot id', () => {
+    for (const strategy of Object.values(HASH_STRATEGIES)) {
+      assert.equal(getHashStrategyById(strategy.id), strategy);
+    }
+    assert.throws(() => getHashStrategy('crc32'), /Unknown hash strategy "crc32"/);
+    assert.throws(() => getHashStrategyById(99), /Unknown hash strategy id 99/);
+  });
+
+  it('restores the strategy a filter was saved with', () => {
+    const filter = new BloomFilter(100, 0.01, { hashStrategy: 'md5' });
+    filter.add('alice');
+
+    const restored = BloomFilter.fromBuffer(filter.toBuffer());
+
+    assert.equal(restored.hashStrategy.name, 'md5');
+    assert.ok(restored.mightContain('alice'));
+  });
+
+  it('reads version 1 payloads, which had no strategy field, as MD5', () => {
+    const filter = new BloomFilter(100, 0.01, { hashStrategy: 'md5' });
+    filter.add('alice');
+    const buffer = filter.toBuffer();
+    const legacy = Buffer.concat([buffer.subarray(0, 36), buffer.subarray(40)]);
+
+    const restored = BloomFilter.fromBuffer(legacy, 1);
+
+    assert.equal(restored.hashStrategy.name, 'md5');
+    assert.ok(restored.mightContain('alice'));
+  });
+});
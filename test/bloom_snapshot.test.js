@@ -0,0 +1,68 @@
+// bloom-snapshot.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BloomFilter = require('../bloom_filter');
+const { FORMAT_VERSION, SnapshotError, encodeSnapshot, decodeSnapshot, writeSnapshot, readSnapshot } = require('../bloom_snapshot');
+
+function filterOf(names) {
+  const filter = new BloomFilter(1000, 0.01);
+  filter.addBatch(names);
+  return filter;
+}
+
+describe('Bloom filter snapshots', () => {
+  it('decodes the filter and watermark it encoded', () => {
+    const createdAt = new Date('2024-05-01T12:00:00Z');
+    const original = filterOf(['alice', 'bob']);
+
+    const { version, createdAt: watermark, filter } = decodeSnapshot(encodeSnapshot(original, createdAt));
+
+    assert.equal(version, FORMAT_VERSION);
+    assert.equal(watermark.getTime(), createdAt.getTime());
+    assert.ok(filter instanceof BloomFilter);
+    assert.ok(filter.mightContain('alice'));
+    assert.ok(filter.mightContain('bob'));
+    assert.deepEqual(filter.bitArray, original.bitArray);
+    assert.equal(filter.elementCount, 2);
+  });
+
+  it('rejects a corrupted payload', () => {
+    const snapshot = encodeSnapshot(filterOf(['alice']));
+    snapshot[snapshot.length - 1] ^= 0xff;
+
+    assert.throws(() => decodeSnapshot(snapshot), { name: 'SnapshotError', message: 'Snapshot checksum mismatch' });
+  });
+
+  it('rejects a truncated file and one that is not a snapshot', () => {
+    const snapshot = encodeSnapshot(filterOf(['alice']));
+
+    assert.throws(() => decodeSnapshot(snapshot.subarray(0, snapshot.length - 1)), /truncated/);
+    assert.throws(() => decodeSnapshot(Buffer.from('{"bitArray": []}')), SnapshotError);
+  });
+
+  it('rejects a newer format version', () => {
+    const snapshot = encodeSnapshot(filterOf(['alice']));
+    snapshot.writeUInt16LE(FORMAT_VERSION + 1, 4);
+
+    assert.throws(() => decodeSnapshot(snapshot), /Unsupported snapshot format version/);
+  });
+
+  it('writes a snapshot file and reads it back', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bloom-snapshot-'));
+    try {
+      const filePath = path.join(directory, 'nested', 'bloom.snap');
+      assert.equal(await readSnapshot(filePath), null);
+
+      await writeSnapshot(filePath, filterOf(['alice']));
+      const { filter } = await readSnapshot(filePath);
+
+      assert.ok(filter.mightContain('alice'));
+      assert.deepEqual(await fs.promises.readdir(path.dirname(filePath)), ['bloom.snap']);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
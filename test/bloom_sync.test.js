@@ -0,0 +1,122 @@
+// bloom-sync.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { BloomSync, MongoChangeStreamChannel } = require('../bloom_sync');
+const { sleep } = require('./harness');
+
+// A change-stream-like channel: the test plays the database's events
+function changeStreamSync() {
+  const applied = [];
+  const channel = {
+    name: 'test',
+    deliversOwnWrites: true,
+    async start(onEvent) { this.emit = onEvent; },
+    async publish() {},
+    async stop() {}
+  };
+  const sync = new BloomSync(channel, { onRemoteEvent: event => applied.push(`${event.type}:${event.username}`) });
+  return { sync, channel, applied };
+}
+
+describe('BloomSync', () => {
+  it('skips the event of a local write that arrives before the write returns', async () => {
+    const { sync, channel, applied } = changeStreamSync();
+    await sync.start();
+    sync.resume();
+
+    sync.expectLocalWrite('deleted', 'bob');
+    channel.emit({ type: 'deleted', username: 'bob' }); // the stream beats the delete call
+    await sync.publish('deleted', 'bob');
+    channel.emit({ type: 'deleted', username: 'bob' }); // someone else's, later
+
+    assert.deepEqual(applied, ['deleted:bob']);
+    await sync.stop();
+  });
+
+  it('skips the event of a local write that arrives after the write returns', async () => {
+    const { sync, channel, applied } = changeStreamSync();
+    await sync.start();
+    sync.resume();
+
+    sync.expectLocalWrite('registered', 'alice');
+    await sync.publish('registered', 'alice');
+    channel.emit({ type: 'registered', username: 'alice' });
+
+    assert.deepEqual(applied, []);
+    await sync.stop();
+  });
+
+  it('applies an event taken by a local write that then failed', async () => {
+    const { sync, channel, applied } = changeStreamSync();
+    await sync.start();
+    sync.resume();
+
+    sync.expectLocalWrite('registered', 'carol');
+    channel.emit({ type: 'registered', username: 'carol' }); // another instance won the name
+    sync.settleLocalWrite('registered', 'carol', false);
+
+    assert.deepEqual(applied, ['registered:carol']);
+    await sync.stop();
+  });
+
+  it('applies events after a failed write that took none', async () => {
+    const { sync, channel, applied } = changeStreamSync();
+    await sync.start();
+    sync.resume();
+
+    sync.expectLocalWrite('deleted', 'dave');
+    sync.settleLocalWrite('deleted', 'dave', false);
+    channel.emit({ type: 'deleted', username: 'dave' });
+
+    assert.deepEqual(applied, ['deleted:dave']);
+    await sync.stop();
+  });
+});
+
+// Store whose change streams are driven by the test
+function watchedStore() {
+  const streams = [];
+  return {
+    name: 'mongodb',
+    streams,
+    watch() {
+      const stream = new EventEmitter();
+      stream.close = async () => {};
+      streams.push(stream);
+      return stream;
+    }
+  };
+}
+
+describe('MongoChangeStreamChannel', () => {
+  it('reopens a failed stream with growing delays', async () => {
+    const store = watchedStore();
+    const sync = new BloomSync(new MongoChangeStreamChannel(store, { retryDelayMs: 50, maxRetryDelayMs: 1000 }));
+    await sync.start();
+
+    store.streams[0].emit('error', new Error('connection reset'));
+    await sleep(80);
+    assert.equal(store.streams.length, 2);
+
+    store.streams[1].emit('error', new Error('connection reset'));
+    await sleep(60); // the second retry waits 100 ms
+    assert.equal(store.streams.length, 2);
+    await sleep(80);
+    assert.equal(store.streams.length, 3);
+    await sync.stop();
+  });
+
+  it('gives up on a server without change streams and reports the error', async () => {
+    const store = watchedStore();
+    const sync = new BloomSync(new MongoChangeStreamChannel(store, { retryDelayMs: 10 }));
+    await sync.start();
+
+    store.streams[0].emit('error', Object.assign(new Error('The $changeStream stage is only supported on replica sets'), { code: 40573 }));
+    await sleep(50);
+
+    assert.equal(store.streams.length, 1);
+    assert.equal(sync.getStatus().status, 'error');
+    await sync.stop();
+  });
+});
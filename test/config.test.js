@@ -0,0 +1,117 @@
+// config.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, redactConfig, trustProxyOption } = require('../config');
+
+function configErrors(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    if (error instanceof ConfigError) return error.errors;
+    throw error;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+async function withConfigFile(values, run) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  try {
+    const file = path.join(directory, 'config.json');
+    await fs.promises.writeFile(file, typeof values === 'string' ? values : JSON.stringify(values));
+    return await run(file);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+describe('loadConfig', () => {
+  it('uses the defaults without any settings and freezes the result', () => {
+    const config = loadConfig({});
+
+    assert.equal(config.port, 3000);
+    assert.equal(config.storageBackend, 'mongodb');
+    assert.equal(config.adminToken, null);
+    assert.equal(config.exposeErrorDetails, true);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it('parses environment values by type and ignores empty ones', () => {
+    const config = loadConfig({ PORT: '8080', REDIS_ENABLED: 'yes', BLOOM_FILTER_FPR: '0.01', LOG_REDACT: 'ssn, email,', LOG_LEVEL: '', NODE_ENV: 'production' });
+
+    assert.equal(config.port, 8080);
+    assert.equal(config.redisEnabled, true);
+    assert.equal(config.bloomFilterFPR, 0.01);
+    assert.deepEqual(config.logRedact, ['ssn', 'email']);
+    assert.equal(config.logLevel, 'info');
+    assert.equal(config.exposeErrorDetails, false);
+  });
+
+  it('lists every invalid setting at once', () => {
+    const errors = configErrors({ PORT: '70000', REDIS_ENABLED: 'maybe', BLOOM_FILTER_MODE: 'huge', MONGODB_URL: 'http://db' });
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^PORT: expected an integer between 0 and 65535, got "70000"$/);
+    assert.ok(errors.some(error => error.startsWith('REDIS_ENABLED: expected true or false')));
+    assert.ok(errors.some(error => error.startsWith('BLOOM_FILTER_MODE: expected one of: standard, counting, scalable')));
+    assert.ok(errors.some(error => error.startsWith('MONGODB_URL: expected a mongodb:// or mongodb+srv:// URL')));
+  });
+
+  it('checks rules across settings', () => {
+    assert.deepEqual(configErrors({ MONGODB_MIN_POOL_SIZE: '20', MONGODB_MAX_POOL_SIZE: '10' }), ['MONGODB_MIN_POOL_SIZE must not exceed MONGODB_MAX_POOL_SIZE']);
+    assert.deepEqual(configErrors({ HOLD_STORE: 'redis', REDIS_ENABLED: 'false' }), ['HOLD_STORE=redis needs REDIS_ENABLED=true']);
+  });
+
+  it('never echoes a secret back in an error', async () => {
+    const [urlError] = configErrors({ MONGODB_URL: 'http://app:hunter2@db:27017/usernames' });
+    assert.match(urlError, /got "http:\/\/app:\[REDACTED\]@db:27017\/usernames"$/);
+
+    await withConfigFile({ adminToken: { value: 'hunter2' } }, (file) => {
+      assert.deepEqual(configErrors({ CONFIG_FILE: file }), [`adminToken in ${file}: expected a string`]);
+    });
+  });
+
+  it('reads a config file, with the environment winning', async () => {
+    await withConfigFile({ port: 4000, logLevel: 'debug' }, (file) => {
+      const config = loadConfig({ CONFIG_FILE: file, LOG_LEVEL: 'warn' });
+
+      assert.equal(config.port, 4000);
+      assert.equal(config.logLevel, 'warn');
+      assert.equal(config.configFile, file);
+    });
+  });
+
+  it('rejects unknown keys and unreadable config files', async () => {
+    await withConfigFile({ prot: 4000 }, (file) => {
+      assert.deepEqual(configErrors({ CONFIG_FILE: file }), [`CONFIG_FILE ${file}: unknown setting "prot"`]);
+    });
+    await withConfigFile('{ not json', (file) => {
+      assert.match(configErrors({ CONFIG_FILE: file })[0], /^CONFIG_FILE .*: /);
+    });
+  });
+});
+
+describe('redactConfig', () => {
+  it('masks secrets and URL passwords', () => {
+    const config = loadConfig({ ADMIN_TOKEN: 'letmein', MONGODB_URL: 'mongodb://app:hunter2@db:27017/usernames' });
+
+    const redacted = redactConfig(config);
+
+    assert.equal(redacted.adminToken, '[REDACTED]');
+    assert.equal(redacted.powSecret, null);
+    assert.equal(redacted.mongoUrl, 'mongodb://app:[REDACTED]@db:27017/usernames');
+  });
+});
+
+describe('trustProxyOption', () => {
+  it('reads booleans, hop counts and address lists', () => {
+    const option = trustProxy => trustProxyOption({ trustProxy });
+
+    assert.equal(option(null), false);
+    assert.equal(option('TRUE'), true);
+    assert.equal(option('2'), 2);
+    assert.deepEqual(option('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+  });
+});
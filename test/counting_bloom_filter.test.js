@@ -0,0 +1,69 @@
+// counting-bloom-filter.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CountingBloomFilter = require('../counting_bloom_filter');
+const { decodeSnapshot, encodeSnapshot } = require('../bloom_snapshot');
+const { startService, adminHeaders } = require('./harness');
+
+describe('CountingBloomFilter', () => {
+  it('forgets a removed name and keeps the others', () => {
+    const filter = new CountingBloomFilter(1000, 0.01);
+    const names = Array.from({ length: 200 }, (_, i) => `user_${i}`);
+    filter.addBatch(names);
+
+    assert.equal(filter.remove('user_0'), true);
+
+    assert.equal(filter.mightContain('user_0'), false);
+    assert.ok(names.slice(1).every(name => filter.mightContain(name)));
+    assert.equal(filter.elementCount, 199);
+  });
+
+  it('only counts down once per add', () => {
+    const filter = new CountingBloomFilter(1000, 0.01);
+    filter.add('twice');
+    filter.add('twice');
+
+    filter.remove('twice');
+    assert.ok(filter.mightContain('twice'));
+    filter.remove('twice');
+    assert.equal(filter.mightContain('twice'), false);
+    assert.equal(filter.remove('twice'), false);
+  });
+
+  it('never counts a saturated counter down', () => {
+    const filter = new CountingBloomFilter(1000, 0.01);
+    for (let i = 0; i < 20; i++) filter.add('popular');
+
+    for (let i = 0; i < 20; i++) filter.remove('popular');
+
+    assert.ok(filter.mightContain('popular'));
+    assert.equal(filter.getStats().saturatedCounters, filter.hashFunctionCount);
+  });
+
+  it('keeps its counters through a snapshot', () => {
+    const filter = new CountingBloomFilter(1000, 0.01);
+    filter.addBatch(['alice', 'bob']);
+
+    const { filter: restored } = decodeSnapshot(encodeSnapshot(filter));
+    restored.remove('alice');
+
+    assert.ok(restored instanceof CountingBloomFilter);
+    assert.equal(restored.mightContain('alice'), false);
+    assert.ok(restored.mightContain('bob'));
+  });
+
+  it('answers from the filter again once a name is deleted', async () => {
+    const service = await startService({ env: { BLOOM_FILTER_MODE: 'counting' } });
+    try {
+      await service.request('POST', '/username', { body: { username: 'short_lived' } });
+      const deleted = await service.request('DELETE', '/admin/usernames/short_lived', { headers: adminHeaders });
+      assert.equal(deleted.status, 200);
+
+      const check = await service.request('GET', '/username/short_lived');
+      assert.equal(check.body.available, true);
+      assert.equal(check.body.source, 'bloom_filter');
+    } finally {
+      await service.close();
+    }
+  });
+});
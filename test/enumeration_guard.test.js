@@ -0,0 +1,73 @@
+// enumeration-guard.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./harness');
+
+// Checks `count` distinct names as one client, returning the statuses
+async function checkDistinct(service, count, prefix, headers = {}) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    statuses.push((await service.request('GET', `/username/${prefix}_${i}`, { headers })).status);
+  }
+  return statuses;
+}
+
+const GUARD_ENV = {
+  ENUMERATION_GUARD_ENABLED: 'true',
+  ENUMERATION_THROTTLE_AT: '3',
+  ENUMERATION_CHALLENGE_AT: '50',
+  ENUMERATION_BLOCK_AT: '100',
+  ENUMERATION_THROTTLE_RATE: '1',
+  ENUMERATION_THROTTLE_BURST: '1'
+};
+
+describe('enumeration guard', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('is off by default', async () => {
+    service = await startService({ env: { ENUMERATION_THROTTLE_AT: '3', ENUMERATION_THROTTLE_BURST: '1' } });
+
+    const statuses = await checkDistinct(service, 10, 'scan');
+    assert.ok(statuses.every(status => status === 200));
+  });
+
+  it('throttles an anonymous client that checks many distinct names', async () => {
+    service = await startService({ env: GUARD_ENV });
+
+    const statuses = await checkDistinct(service, 6, 'scan');
+    assert.ok(statuses.includes(429));
+  });
+
+  it('charges a throttled batch per new name', async () => {
+    service = await startService({ env: { ...GUARD_ENV, ENUMERATION_THROTTLE_BURST: '3' } });
+
+    await checkDistinct(service, 3, 'scan'); // flagged on the third, 2 tokens left
+    const batch = await service.request('POST', '/usernames/check', { body: { usernames: ['batch_a', 'batch_b'] } });
+    assert.equal(batch.status, 200);
+
+    const single = await service.request('GET', '/username/batch_c');
+    assert.equal(single.status, 429);
+  });
+
+  it('refuses a throttled batch with more new names than the bucket holds', async () => {
+    service = await startService({ env: GUARD_ENV });
+
+    await checkDistinct(service, 3, 'scan');
+    const { status, body } = await service.request('POST', '/usernames/check', { body: { usernames: ['batch_a', 'batch_b'] } });
+    assert.equal(status, 429);
+    assert.equal(body.max_names, 1);
+  });
+
+  it('tells forwarded clients apart behind a trusted proxy', async () => {
+    service = await startService({ env: { ...GUARD_ENV, TRUST_PROXY: 'loopback' } });
+
+    const scraper = await checkDistinct(service, 6, 'scan', { 'X-Forwarded-For': '203.0.113.1' });
+    const neighbour = await checkDistinct(service, 2, 'other', { 'X-Forwarded-For': '203.0.113.2' });
+    assert.ok(scraper.includes(429));
+    assert.deepEqual(neighbour, [200, 200]);
+  });
+});
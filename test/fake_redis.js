@@ -0,0 +1,84 @@
+// fake-redis.js
+const { EventEmitter } = require('events');
+const RedisMock = require('ioredis-mock');
+
+let nextPort = 16379; // ioredis-mock shares data between instances on one port
+
+// The part of the node-redis v4 client that RedisCache uses, backed by
+// ioredis-mock (which runs the Lua scripts), so cache tests need no Redis
+// server. Every command waits `latencyMs` first, to play a slow Redis.
+class FakeRedisClient extends EventEmitter {
+  constructor({ latencyMs = 0 } = {}) {
+    super();
+    this.redis = new RedisMock({ port: nextPort++ });
+    this.latencyMs = latencyMs;
+    this.isOpen = false;
+  }
+
+  async command(run) {
+    if (this.latencyMs > 0) await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    return run();
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.emit('connect');
+    this.emit('ready');
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.emit('end');
+  }
+
+  async disconnect() {
+    return this.quit();
+  }
+
+  get(key) {
+    return this.command(() => this.redis.get(key));
+  }
+
+  mGet(keys) {
+    return this.command(() => this.redis.mget(keys));
+  }
+
+  set(key, value, { NX, PX } = {}) {
+    const options = [...(NX ? ['NX'] : []), ...(PX ? ['PX', PX] : [])];
+    return this.command(() => this.redis.set(key, value, ...options));
+  }
+
+  setEx(key, seconds, value) {
+    return this.command(() => this.redis.set(key, value, 'EX', seconds));
+  }
+
+  del(keys) {
+    return this.command(() => this.redis.del(...[].concat(keys)));
+  }
+
+  keys(pattern) {
+    return this.command(() => this.redis.keys(pattern));
+  }
+
+  eval(script, { keys = [], arguments: args = [] } = {}) {
+    return this.command(() => this.redis.eval(script, keys.length, ...keys, ...args));
+  }
+
+  info() {
+    return this.command(() => this.redis.info());
+  }
+
+  multi() {
+    const transaction = this.redis.multi();
+    const chain = {
+      incr: key => (transaction.incr(key), chain),
+      expire: (key, seconds) => (transaction.expire(key, seconds), chain),
+      del: key => (transaction.del(key), chain),
+      setEx: (key, seconds, value) => (transaction.set(key, value, 'EX', seconds), chain),
+      exec: () => this.command(() => transaction.exec())
+    };
+    return chain;
+  }
+}
+
+module.exports = { FakeRedisClient };
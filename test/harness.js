@@ -0,0 +1,77 @@
+// harness.js
+const { createApp } = require('../express_api_service');
+const { loadConfig } = require('../config');
+const { logger } = require('../logger');
+const { MemoryUsernameStore } = require('../username_store');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Tests assert on responses, not log lines
+logger.write = () => {};
+
+// Settings every test starts from: in-memory storage, no Redis, no limits in
+// the way. `env` takes environment variable names, as in production.
+function testConfig(env = {}) {
+  return loadConfig({
+    STORAGE_BACKEND: 'memory',
+    REDIS_ENABLED: 'false',
+    ADMIN_TOKEN,
+    ...env
+  });
+}
+
+// Starts the service on a random port and waits for the Bloom filter to load.
+// `redisCache` needs REDIS_ENABLED=true in `env`. Returns { app, store, url, request, close }.
+async function startService({ env = {}, store = new MemoryUsernameStore(), redisCache = null, waitForBloom = true } = {}) {
+  const app = createApp({ config: testConfig(env), store, redisCache });
+  await app.initializeServices();
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON in, { status, headers, body } out
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(url + path, {
+      method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch (error) { /* not JSON */ }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await app.closeServices();
+  }
+
+  if (waitForBloom) await waitFor(async () => (await request('GET', '/health/ready')).body.dependencies.bloom_filter.status === 'ready');
+  return { app, store, url, request, close };
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await sleep(10);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const adminHeaders = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+module.exports = {
+  ADMIN_TOKEN,
+  adminHeaders,
+  testConfig,
+  startService,
+  waitFor,
+  sleep
+};
@@ -0,0 +1,87 @@
+// health.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryUsernameStore } = require('../username_store');
+const { startService, waitFor } = require('./harness');
+
+// Memory store whose Bloom filter load waits until release() is called
+function slowLoadingStore() {
+  const store = new MemoryUsernameStore();
+  const streamAll = store.streamAll.bind(store);
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  store.streamAll = async function* (...args) {
+    await released;
+    yield* streamAll(...args);
+  };
+  return { store, release };
+}
+
+function failPings(store) {
+  store.ping = async () => { throw new Error('connection refused'); };
+  return store;
+}
+
+describe('health checks', () => {
+  let service;
+  let release = () => {};
+
+  afterEach(async () => {
+    release();
+    await service.close();
+  });
+
+  it('is alive and ready once storage is up and the filter has loaded', async () => {
+    service = await startService();
+
+    const live = await service.request('GET', '/health/live');
+    const ready = await service.request('GET', '/health/ready');
+
+    assert.equal(live.body.status, 'alive');
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'ready');
+    assert.equal(ready.body.dependencies.storage.status, 'up');
+    assert.equal(ready.body.dependencies.redis.status, 'disabled');
+  });
+
+  it('stays ready but degraded while storage is down after the filter loaded', async () => {
+    service = await startService();
+    failPings(service.store);
+
+    const { status, body } = await service.request('GET', '/health/ready');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.dependencies.storage.error, 'connection refused');
+  });
+
+  it('is degraded while the filter loads, and skips it for checks', async () => {
+    const loading = slowLoadingStore();
+    release = loading.release;
+    service = await startService({ store: loading.store, waitForBloom: false });
+
+    const ready = await service.request('GET', '/health/ready');
+    const check = await service.request('GET', '/username/not_loaded_yet');
+
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'degraded');
+    assert.equal(ready.body.dependencies.bloom_filter.status, 'warming');
+    assert.equal(check.body.source, 'database');
+    assert.equal((await service.request('GET', '/metrics')).body.bloom_filter.bypassed, 1);
+
+    release();
+    await waitFor(async () => (await service.request('GET', '/health/ready')).body.status === 'ready');
+  });
+
+  it('is not ready while storage is down and the filter has not loaded', async () => {
+    const loading = slowLoadingStore();
+    release = loading.release;
+    service = await startService({ store: loading.store, waitForBloom: false });
+    failPings(loading.store);
+
+    const { status, body } = await service.request('GET', '/health/ready');
+
+    assert.equal(status, 503);
+    assert.equal(body.status, 'not_ready');
+  });
+});
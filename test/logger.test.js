@@ -0,0 +1,105 @@
+// logger.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Logger, requestLogger } = require('../logger');
+
+function capturingLogger(options = {}) {
+  const lines = [];
+  const logger = new Logger({ ...options, write: line => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+}
+
+// Serves `app` on a random port for one callback
+async function withServer(app, run) {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('Logger', () => {
+  it('writes one JSON line per entry at or above the level', () => {
+    const { logger, lines } = capturingLogger({ level: 'warn' });
+
+    logger.info('skipped');
+    logger.child({ component: 'cache' }).warn('Redis slow', { latency_ms: 120 });
+
+    assert.equal(lines.length, 1);
+    assert.deepEqual({ ...lines[0], time: undefined }, { time: undefined, level: 'warn', msg: 'Redis slow', component: 'cache', latency_ms: 120 });
+  });
+
+  it('redacts secrets at any depth, whatever their case', () => {
+    const { logger, lines } = capturingLogger({ redact: ['ssn'] });
+
+    logger.info('request', {
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'k', accept: 'json' },
+      user: { profile: { SSN: '123', name: 'alice' } },
+      attempts: [{ password: 'hunter2' }]
+    });
+
+    assert.deepEqual(lines[0].headers, { Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]', accept: 'json' });
+    assert.deepEqual(lines[0].user.profile, { SSN: '[REDACTED]', name: 'alice' });
+    assert.deepEqual(lines[0].attempts, [{ password: '[REDACTED]' }]);
+  });
+
+  it('logs errors with their name, message, code and stack', () => {
+    const { logger, lines } = capturingLogger();
+    const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+
+    logger.error('Storage down', { error });
+
+    assert.equal(lines[0].error.message, 'connection refused');
+    assert.equal(lines[0].error.code, 'ECONNREFUSED');
+    assert.match(lines[0].error.stack, /connection refused/);
+  });
+
+  it('rejects an unknown level', () => {
+    assert.throws(() => new Logger({ level: 'verbose', write: () => {} }), /Unknown log level "verbose"/);
+  });
+});
+
+describe('requestLogger', () => {
+  function appWith(logger) {
+    const app = express();
+    app.use(requestLogger(logger));
+    app.get('/ok', async (req, res) => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.child({ component: 'route' }).info('deep inside');
+      res.locals.source = 'cache';
+      res.json({ ok: true });
+    });
+    app.get('/missing', (req, res) => res.status(404).json({ error: 'Not found' }));
+    return app;
+  }
+
+  it('tags every line of a request with its ID and writes an access line', async () => {
+    const { logger, lines } = capturingLogger();
+
+    const response = await withServer(appWith(logger), url => fetch(`${url}/ok?q=1`, { headers: { 'X-Request-Id': 'req-42' } }));
+
+    assert.equal(response.headers.get('x-request-id'), 'req-42');
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(lines[0].msg, 'deep inside');
+    assert.equal(lines[0].request_id, 'req-42');
+    assert.equal(lines[1].msg, 'request');
+    assert.equal(lines[1].path, '/ok');
+    assert.equal(lines[1].status, 200);
+    assert.equal(lines[1].source, 'cache');
+  });
+
+  it('replaces an unusable incoming ID and puts the ID in error bodies', async () => {
+    const { logger, lines } = capturingLogger();
+
+    const response = await withServer(appWith(logger), url => fetch(`${url}/missing`, { headers: { 'X-Request-Id': 'not an id; <script>' } }));
+    const body = await response.json();
+
+    assert.match(body.request_id, /^[0-9a-f-]{36}$/);
+    assert.equal(response.headers.get('x-request-id'), body.request_id);
+    assert.equal(lines[0].request_id, body.request_id);
+  });
+});
@@ -0,0 +1,62 @@
+// lru-cache.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LruCache } = require('../lru_cache');
+const { startService, adminHeaders, sleep } = require('./harness');
+
+describe('LruCache', () => {
+  it('evicts the least recently used entry', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.getStats().evictions, 1);
+  });
+
+  it('forgets entries after their TTL', async () => {
+    const cache = new LruCache({ ttlMs: 20 });
+    cache.set('a', null);
+    assert.equal(cache.get('a'), null);
+
+    await sleep(30);
+
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.entries.size, 0);
+  });
+
+  it('drops a write that started before an invalidation', () => {
+    const cache = new LruCache();
+    const epoch = cache.epoch();
+
+    cache.delete('alice'); // a registration lands while the read is running
+
+    assert.equal(cache.set('alice', 'available', epoch), false);
+    assert.equal(cache.get('alice'), undefined);
+    assert.equal(cache.set('alice', 'taken', cache.epoch()), true);
+  });
+
+  it('answers repeated checks locally until the name changes', async () => {
+    const service = await startService();
+    try {
+      await service.request('POST', '/username', { body: { username: 'local_hit' } });
+
+      const first = await service.request('GET', '/username/local_hit?suggestions=false');
+      const second = await service.request('GET', '/username/local_hit?suggestions=false');
+      await service.request('POST', '/admin/usernames/local_hit/release', { headers: adminHeaders });
+      const afterRelease = await service.request('GET', '/username/local_hit?suggestions=false');
+
+      assert.equal(first.body.source, 'database');
+      assert.equal(second.body.source, 'local_cache');
+      assert.equal(afterRelease.body.source, 'database');
+      assert.equal(afterRelease.body.reason, 'quarantined');
+    } finally {
+      await service.close();
+    }
+  });
+});
@@ -0,0 +1,91 @@
+// prometheus-metrics.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LatencyHistogram, renderPrometheus } = require('../prometheus_metrics');
+const { startService } = require('./harness');
+
+describe('LatencyHistogram', () => {
+  it('keeps one series per label set, however many observations arrive', () => {
+    const histogram = new LatencyHistogram({ labelNames: ['route', 'source'] });
+    for (let i = 0; i < 10000; i++) {
+      histogram.observe({ route: 'check', source: i % 2 ? 'cache' : 'database' }, i % 50);
+    }
+
+    assert.equal(histogram.series.size, 2);
+    assert.equal(histogram.summarize().count, 10000);
+    assert.equal(histogram.summarize({ source: 'cache' }).count, 5000);
+  });
+
+  it('estimates percentiles within buckets', () => {
+    const histogram = new LatencyHistogram({ buckets: [10, 20, 40] });
+    for (let i = 0; i < 100; i++) histogram.observe({}, i < 50 ? 5 : 15);
+
+    const summary = histogram.summarize();
+
+    assert.equal(summary.avg_ms, 10);
+    assert.equal(summary.p50_ms, 10);
+    assert.equal(summary.p95_ms, 19);
+  });
+
+  it('reports the highest bound for latencies above it', () => {
+    const histogram = new LatencyHistogram({ buckets: [10, 20] });
+    histogram.observe({}, 5000);
+
+    assert.equal(histogram.summarize().p99_ms, 20);
+  });
+
+  it('summarizes per label combination', () => {
+    const histogram = new LatencyHistogram({ labelNames: ['route', 'source'] });
+    histogram.observe({ route: 'check', source: 'cache' }, 1);
+    histogram.observe({ route: 'batch_check', source: 'database' }, 30);
+
+    const summaries = histogram.summarizeBy();
+
+    assert.equal(summaries.check.cache.count, 1);
+    assert.equal(summaries.batch_check.database.avg_ms, 30);
+  });
+});
+
+describe('renderPrometheus', () => {
+  it('renders counters and cumulative histogram buckets in seconds', () => {
+    const histogram = new LatencyHistogram({ buckets: [10, 100], labelNames: ['source'] });
+    histogram.observe({ source: 'cache' }, 5);
+    histogram.observe({ source: 'cache' }, 50);
+    histogram.observe({ source: 'cache' }, 500);
+
+    const text = renderPrometheus([
+      { name: 'checks_total', help: 'Checks', type: 'counter', samples: [{ labels: { route: 'say "hi"\n' }, value: 3 }] },
+      { name: 'check_seconds', help: 'Latency', type: 'histogram', histogram }
+    ]);
+
+    assert.equal(text, [
+      '# HELP checks_total Checks',
+      '# TYPE checks_total counter',
+      'checks_total{route="say \\"hi\\"\\n"} 3',
+      '# HELP check_seconds Latency',
+      '# TYPE check_seconds histogram',
+      'check_seconds_bucket{source="cache",le="0.01"} 1',
+      'check_seconds_bucket{source="cache",le="0.1"} 2',
+      'check_seconds_bucket{source="cache",le="+Inf"} 3',
+      'check_seconds_sum{source="cache"} 0.555',
+      'check_seconds_count{source="cache"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('is served by the service with checks labeled by source', async () => {
+    const service = await startService();
+    try {
+      await service.request('GET', '/username/never_seen');
+
+      const { status, headers, body } = await service.request('GET', '/metrics/prometheus');
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+      assert.match(body, /^username_check_duration_seconds_count\{route="check",source="bloom_filter"\} 1$/m);
+      assert.match(body, /^username_checks_total 1$/m);
+    } finally {
+      await service.close();
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// redis-cache.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedisCache } = require('../redis_cache_config');
+const { MemoryUsernameStore } = require('../username_store');
+const { FakeRedisClient } = require('./fake_redis');
+const { startService, sleep, waitFor } = require('./harness');
+
+describe('RedisCache', () => {
+  let cache;
+
+  beforeEach(async () => {
+    cache = new RedisCache({ client: new FakeRedisClient() });
+    await cache.connect();
+  });
+
+  it('keeps reconnecting, backing off up to maxRetryDelay', () => {
+    const reconnecting = new RedisCache({ retryDelay: 100, maxRetryDelay: 1000 });
+
+    assert.equal(reconnecting.reconnectDelay(0), 100);
+    assert.equal(reconnecting.reconnectDelay(3), 800);
+    assert.equal(reconnecting.reconnectDelay(4), 1000);
+    assert.equal(reconnecting.reconnectDelay(5000), 1000);
+  });
+
+  it('caches a lookup whose version did not move', async () => {
+    const versions = await cache.getVersions(['alice']);
+    const written = await cache.setStatusesIfUnchanged([{ username: 'alice', status: 'available', version: versions.get('alice') }]);
+
+    assert.equal(written, 1);
+    assert.equal(await cache.getUsernameStatus('alice'), 'available');
+  });
+
+  it('drops a lookup that raced a registration', async () => {
+    const versions = await cache.getVersions(['alice']);
+    await cache.replaceUsernameStatus('alice', 'taken'); // registration lands mid-lookup
+    const written = await cache.setStatusesIfUnchanged([{ username: 'alice', status: 'available', version: versions.get('alice') }]);
+
+    assert.equal(written, 0);
+    assert.equal(await cache.getUsernameStatus('alice'), 'taken');
+  });
+
+  it('drops a lookup that raced an invalidation', async () => {
+    const versions = await cache.getVersions(['bob', 'carol']);
+    await cache.invalidateUsername('bob');
+    const written = await cache.setStatusesIfUnchanged([
+      { username: 'bob', status: 'taken', version: versions.get('bob') },
+      { username: 'carol', status: 'taken', version: versions.get('carol') }
+    ]);
+
+    assert.equal(written, 1);
+    assert.equal(await cache.getUsernameStatus('bob'), null);
+    assert.equal(await cache.getUsernameStatus('carol'), 'taken');
+  });
+});
+
+describe('Redis cache in the service', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('writes registrations through to Redis', async () => {
+    const redisCache = new RedisCache({ client: new FakeRedisClient() });
+    service = await startService({ env: { REDIS_ENABLED: 'true' }, redisCache });
+
+    await service.request('POST', '/username', { body: { username: 'cached_name' } });
+
+    await waitFor(async () => (await redisCache.getUsernameStatus('cached_name')) === 'taken');
+  });
+
+  it('does not let a lookup that raced a registration cache "available"', async () => {
+    // Storage answers from before the registration, but only 100 ms later
+    const store = new MemoryUsernameStore();
+    const getStatuses = store.getStatuses.bind(store);
+    store.getStatuses = async (...args) => {
+      const statuses = await getStatuses(...args);
+      await sleep(100);
+      return statuses;
+    };
+    const redisCache = new RedisCache({ client: new FakeRedisClient() });
+    service = await startService({ env: { REDIS_ENABLED: 'true', LOCAL_CACHE_ENABLED: 'false' }, store, redisCache });
+
+    const lookup = service.request('GET', '/username/racer?force_db=true&suggestions=false');
+    await sleep(30);
+    const registration = await service.request('POST', '/username', { body: { username: 'racer' } });
+    assert.equal(registration.status, 201);
+    assert.equal((await lookup).body.available, true); // true when storage read it
+
+    await sleep(50);
+    assert.equal(await redisCache.getUsernameStatus('racer'), 'taken');
+    const check = await service.request('GET', '/username/racer?suggestions=false');
+    assert.equal(check.body.available, false);
+  });
+
+  it('answers batch checks from Redis and counts hits and misses', async () => {
+    const redisCache = new RedisCache({ client: new FakeRedisClient() });
+    service = await startService({ env: { REDIS_ENABLED: 'true', LOCAL_CACHE_ENABLED: 'false' }, redisCache });
+    await service.request('POST', '/username', { body: { username: 'in_redis' } });
+    await service.request('POST', '/username', { body: { username: 'not_in_redis' } });
+    await waitFor(async () => (await redisCache.getUsernameStatus('in_redis')) === 'taken');
+    await redisCache.invalidateUsername('not_in_redis');
+
+    const batch = await service.request('POST', '/usernames/check', { body: { usernames: ['in_redis', 'not_in_redis', 'in_redis'] } });
+
+    assert.equal(batch.status, 200);
+    assert.deepEqual(batch.body.results.map(result => result.source), ['cache', 'database', 'cache']);
+    assert.equal(batch.body.database_lookups, 1);
+    const { body: metrics } = await service.request('GET', '/metrics');
+    assert.equal(metrics.cache.hits, 2);
+    assert.equal(metrics.cache.misses, 1);
+  });
+
+  it('does not hold registrations up on a slow Redis', async () => {
+    const redisCache = new RedisCache({ client: new FakeRedisClient({ latencyMs: 500 }) });
+    service = await startService({ env: { REDIS_ENABLED: 'true', REDIS_TIMEOUT_MS: '50' }, redisCache });
+
+    const startTime = Date.now();
+    const registration = await service.request('POST', '/username', { body: { username: 'slow_cache' } });
+
+    assert.equal(registration.status, 201);
+    assert.ok(Date.now() - startTime < 400, `took ${Date.now() - startTime} ms`);
+  });
+});
@@ -0,0 +1,90 @@
+// rolling-metrics.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RollingMetrics } = require('../rolling_metrics');
+const { startService } = require('./harness');
+
+const BUCKETS = [10, 100];
+
+function totals({ requests = 0, bloomFilterHits = 0, cacheHits = 0, cacheMisses = 0, databaseQueries = 0, latency = [0, 0, 0] } = {}) {
+  return {
+    requests,
+    bloomFilterHits,
+    cacheHits,
+    cacheMisses,
+    localCacheHits: 0,
+    localCacheMisses: 0,
+    databaseQueries,
+    latency: { counts: latency, count: latency.reduce((sum, count) => sum + count, 0), sum: latency[0] * 5 + latency[1] * 50 }
+  };
+}
+
+describe('RollingMetrics', () => {
+  it('reports each window as the difference from the snapshot that long ago', () => {
+    const rolling = new RollingMetrics({ buckets: BUCKETS, windows: { '1m': 60, '5m': 300 } });
+    const now = Date.now();
+    rolling.snapshots = [
+      { at: now - 300 * 1000, ...totals() },
+      { at: now - 60 * 1000, ...totals({ requests: 400, bloomFilterHits: 100, latency: [400, 0, 0] }) }
+    ];
+    const current = totals({ requests: 1000, bloomFilterHits: 400, cacheHits: 150, cacheMisses: 50, databaseQueries: 60, latency: [500, 500, 0] });
+
+    const minute = rolling.windowStats(60, current, now);
+    const fiveMinutes = rolling.windowStats(300, current, now);
+
+    assert.equal(minute.requests, 600);
+    assert.equal(minute.request_rate, 10);
+    assert.equal(minute.bloom_filter_hit_rate, 50);
+    assert.equal(minute.cache_hit_rate, 75);
+    assert.equal(minute.db_fallback_rate, 10);
+    assert.ok(minute.p50_ms > 10, 'only the slower requests are in the last minute');
+    assert.equal(fiveMinutes.requests, 1000);
+    assert.equal(fiveMinutes.request_rate, Number((1000 / 300).toFixed(2)));
+  });
+
+  it('covers only the time since the first snapshot in a young process', () => {
+    const rolling = new RollingMetrics({ buckets: BUCKETS });
+    const now = Date.now();
+    rolling.snapshots = [{ at: now - 10 * 1000, ...totals() }];
+
+    const hour = rolling.windowStats(3600, totals({ requests: 50 }), now);
+
+    assert.equal(hour.covered_seconds, 10);
+    assert.equal(hour.request_rate, 5);
+  });
+
+  it('drops snapshots older than the longest window', () => {
+    let current = totals();
+    const rolling = new RollingMetrics({ buckets: BUCKETS, intervalMs: 1000, windows: { '1m': 60 } });
+    rolling.sample = () => current;
+    rolling.snapshots = [{ at: Date.now() - 2 * 60 * 1000, ...totals() }, { at: Date.now() - 30 * 1000, ...totals() }];
+
+    current = totals({ requests: 5 });
+    rolling.takeSnapshot();
+
+    assert.equal(rolling.snapshots.length, 2);
+    assert.equal(rolling.snapshots[1].requests, 5);
+  });
+
+  it('streams the windows to the live dashboard', async () => {
+    const service = await startService();
+    const aborter = new AbortController();
+    try {
+      await service.request('GET', '/username/streamed_name');
+
+      const response = await fetch(`${service.url}/metrics/stream`, { signal: aborter.signal });
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+      const reader = response.body.getReader();
+      let text = '';
+      while (!text.includes('data: ')) text += Buffer.from((await reader.read()).value).toString();
+      while (!text.endsWith('\n\n')) text += Buffer.from((await reader.read()).value).toString();
+
+      const event = JSON.parse(text.slice(text.indexOf('data: ') + 6));
+      assert.equal(event.windows['1m'].requests, 1);
+      assert.equal(event.bloom_filter.status, 'ready');
+    } finally {
+      aborter.abort();
+      await service.close();
+    }
+  });
+});
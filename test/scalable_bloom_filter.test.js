@@ -0,0 +1,43 @@
+// scalable-bloom-filter.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScalableBloomFilter = require('../scalable_bloom_filter');
+const { decodeSnapshot, encodeSnapshot } = require('../bloom_snapshot');
+
+const names = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}_${i}`);
+
+describe('ScalableBloomFilter', () => {
+  it('adds slices of growing capacity as it fills', () => {
+    const filter = new ScalableBloomFilter(100, 0.01);
+    filter.addBatch(names('member', 700));
+
+    const stats = filter.getStats();
+    assert.equal(stats.sliceCount, 3);
+    assert.deepEqual(stats.slices.map(slice => slice.expectedElements), [100, 200, 400]);
+    assert.equal(stats.elementCount, 700);
+    assert.ok(names('member', 700).every(name => filter.mightContain(name)));
+  });
+
+  it('keeps the false-positive rate near the configured one after growing', () => {
+    const filter = new ScalableBloomFilter(100, 0.01);
+    filter.addBatch(names('member', 1500));
+
+    const falsePositives = names('stranger', 10000).filter(name => filter.mightContain(name)).length;
+
+    assert.ok(Number(filter.getStats().estimatedFalsePositiveRate) <= 0.01);
+    assert.ok(falsePositives / 10000 < 0.02, `${falsePositives} false positives in 10000`);
+  });
+
+  it('keeps growing with the same hashing after a snapshot', () => {
+    const filter = new ScalableBloomFilter(100, 0.01, { hashStrategy: 'md5' });
+    filter.addBatch(names('member', 150));
+
+    const { filter: restored } = decodeSnapshot(encodeSnapshot(filter));
+    restored.addBatch(names('later', 300));
+
+    assert.ok(restored instanceof ScalableBloomFilter);
+    assert.equal(restored.getStats().sliceCount, 3);
+    assert.ok(restored.slices.every(slice => slice.hashStrategy.name === 'md5'));
+    assert.ok([...names('member', 150), ...names('later', 300)].every(name => restored.mightContain(name)));
+  });
+});
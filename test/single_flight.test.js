@@ -0,0 +1,63 @@
+// single-flight.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SingleFlight } = require('../single_flight');
+const { MemoryUsernameStore } = require('../username_store');
+const { startService, sleep } = require('./harness');
+
+describe('SingleFlight', () => {
+  it('runs concurrent calls for one key once and shares the result', async () => {
+    const flight = new SingleFlight();
+    let executions = 0;
+    const work = async () => {
+      executions++;
+      await sleep(20);
+      return 'taken';
+    };
+
+    const results = await Promise.all([flight.run('alice', work), flight.run('alice', work), flight.run('bob', work)]);
+
+    assert.equal(executions, 2);
+    assert.deepEqual(results.map(result => result.value), ['taken', 'taken', 'taken']);
+    assert.deepEqual(results.map(result => result.shared), [false, true, false]);
+    assert.deepEqual(flight.getStats(), { in_flight: 0, calls: 3, executions: 2, shared: 1 });
+  });
+
+  it('shares a failure with every waiting caller and keeps nothing afterwards', async () => {
+    const flight = new SingleFlight();
+    const failing = async () => {
+      await sleep(10);
+      throw new Error('storage down');
+    };
+
+    const outcomes = await Promise.allSettled([flight.run('alice', failing), flight.run('alice', failing)]);
+    const retry = await flight.run('alice', async () => 'available');
+
+    assert.deepEqual(outcomes.map(outcome => outcome.reason.message), ['storage down', 'storage down']);
+    assert.deepEqual(retry, { value: 'available', shared: false });
+  });
+
+  it('sends concurrent checks of one name to storage once', async () => {
+    const store = new MemoryUsernameStore();
+    const getStatuses = store.getStatuses.bind(store);
+    let queries = 0;
+    store.getStatuses = async (...args) => {
+      queries++;
+      await sleep(50);
+      return getStatuses(...args);
+    };
+    const service = await startService({ env: { LOCAL_CACHE_ENABLED: 'false' }, store });
+    try {
+      await service.request('POST', '/username', { body: { username: 'crowded' } });
+      queries = 0;
+
+      const checks = await Promise.all(Array.from({ length: 5 }, () => service.request('GET', '/username/crowded?suggestions=false')));
+
+      assert.equal(queries, 1);
+      assert.ok(checks.every(check => check.body.available === false));
+      assert.equal((await service.request('GET', '/metrics')).body.coalescing.shared, 4);
+    } finally {
+      await service.close();
+    }
+  });
+});
@@ -0,0 +1,62 @@
+// storage-failures.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('../circuit_breaker');
+const { MemoryUsernameStore } = require('../username_store');
+const { UsernameSuggester } = require('../username_suggestions');
+const { startService, sleep } = require('./harness');
+
+// Memory store whose registrations land `delayMs` after they are asked for
+function slowStore({ registerDelayMs = 0 } = {}) {
+  const store = new MemoryUsernameStore();
+  const register = store.register.bind(store);
+  store.register = async (...args) => {
+    await sleep(registerDelayMs);
+    return register(...args);
+  };
+  return store;
+}
+
+describe('storage failures', () => {
+  let service;
+
+  afterEach(async () => {
+    if (service) await service.close();
+    service = null;
+  });
+
+  it('adds a registration that outlived its timeout to the Bloom filter', async () => {
+    service = await startService({
+      env: { STORAGE_TIMEOUT_MS: '50' },
+      store: slowStore({ registerDelayMs: 150 })
+    });
+
+    const registration = await service.request('POST', '/username', { body: { username: 'late_writer' } });
+    assert.equal(registration.status, 503);
+
+    await sleep(200); // the write lands after the client gave up
+    assert.ok(await service.store.exists('late_writer'));
+
+    const check = await service.request('GET', '/username/late_writer?suggestions=false');
+    assert.equal(check.body.available, false);
+    assert.notEqual(check.body.source, 'bloom_filter');
+  });
+
+  it('sends the suggestion query through the storage circuit', async () => {
+    const store = new MemoryUsernameStore();
+    let queries = 0;
+    store.existsMany = async () => {
+      queries++;
+      return new Set();
+    };
+    const breaker = new CircuitBreaker({ name: 'storage', failureThreshold: 1 });
+    await breaker.execute(() => Promise.reject(new Error('connection reset'))).catch(() => {});
+
+    const suggester = new UsernameSuggester({ store, execute: operation => breaker.execute(operation), getBloomFilter: () => null });
+    const suggestions = await suggester.suggest('taken_name');
+
+    assert.deepEqual(suggestions, []);
+    assert.equal(breaker.state, 'open');
+    assert.equal(queries, 0);
+  });
+});
@@ -0,0 +1,71 @@
+// username-holds.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedisCache } = require('../redis_cache_config');
+const { RedisHoldStore } = require('../username_holds');
+const { MemoryUsernameStore } = require('../username_store');
+const { FakeRedisClient } = require('./fake_redis');
+const { startService } = require('./harness');
+
+// Memory store whose next `failures` registrations fail before writing
+function flakyStore(failures) {
+  const store = new MemoryUsernameStore();
+  const register = store.register.bind(store);
+  store.register = async (...args) => {
+    if (failures-- > 0) throw new Error('connection reset');
+    return register(...args);
+  };
+  return store;
+}
+
+describe('username holds', () => {
+  let service;
+
+  afterEach(async () => {
+    if (service) await service.close();
+    service = null;
+  });
+
+  it('creates both Redis hold keys, once per name', async () => {
+    const redisCache = new RedisCache({ client: new FakeRedisClient() });
+    await redisCache.connect();
+    const holds = new RedisHoldStore(redisCache, { ttlMs: 60 * 1000 });
+
+    const hold = await holds.create('held_name', 'held_name');
+    assert.ok(hold);
+    assert.equal(await holds.create('held_name', 'held_name'), null);
+    assert.deepEqual(await holds.take(hold.token), hold);
+
+    await redisCache.disconnect();
+  });
+
+  it('puts a Redis hold back after it was taken', async () => {
+    const redisCache = new RedisCache({ client: new FakeRedisClient() });
+    await redisCache.connect();
+    const holds = new RedisHoldStore(redisCache, { ttlMs: 60 * 1000 });
+
+    const hold = await holds.create('held_name', 'held_name');
+    await holds.take(hold.token);
+    assert.equal(await holds.restore(hold), true);
+    assert.deepEqual([...await holds.heldMany(['held_name'])], ['held_name']);
+    assert.deepEqual(await holds.take(hold.token), hold);
+
+    await redisCache.disconnect();
+  });
+
+  it('keeps the hold when confirming fails on storage', async () => {
+    service = await startService({ store: flakyStore(1) });
+
+    const reserved = await service.request('POST', '/username/reserve', { body: { username: 'keep_me' } });
+    assert.equal(reserved.status, 201);
+
+    const failed = await service.request('POST', '/username/confirm', { body: { token: reserved.body.token } });
+    assert.ok(failed.status >= 500);
+
+    const check = await service.request('GET', '/username/keep_me');
+    assert.equal(check.body.reason, 'held');
+
+    const confirmed = await service.request('POST', '/username/confirm', { body: { token: reserved.body.token } });
+    assert.equal(confirmed.status, 201);
+  });
+});
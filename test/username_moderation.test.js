@@ -0,0 +1,87 @@
+// username-moderation.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MODERATION_ACTIONS, ModerationError, planStatusChange } = require('../username_moderation');
+const { startService, adminHeaders } = require('./harness');
+
+const details = { reason: 'spam', actor: 'mod_jane' };
+
+describe('planStatusChange', () => {
+  it('allows each action only from its listed statuses', () => {
+    for (const [action, { from, to }] of Object.entries(MODERATION_ACTIONS)) {
+      for (const status of ['active', 'quarantined', 'suspended', 'deleted']) {
+        const document = status === 'active' ? { username: 'someone' } : { username: 'someone', status };
+        if (from.includes(status)) {
+          assert.equal(planStatusChange(document, action, details).to, to);
+        } else {
+          assert.throws(() => planStatusChange(document, action, details), { code: 'invalid_transition' }, `${action} from ${status}`);
+        }
+      }
+    }
+  });
+
+  it('records who changed the status and why', () => {
+    const { entry } = planStatusChange({ username: 'someone' }, 'suspend', details);
+
+    assert.equal(entry.action, 'suspend');
+    assert.equal(entry.reason, 'spam');
+    assert.equal(entry.actor, 'mod_jane');
+    assert.ok(entry.at instanceof Date);
+  });
+
+  it('reports a missing record', () => {
+    assert.throws(() => planStatusChange(null, 'suspend', details), (error) => error instanceof ModerationError && error.code === 'not_found');
+  });
+});
+
+describe('moderation routes', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+  });
+
+  after(async () => {
+    await service.close();
+  });
+
+  const moderate = (name, route, body = details) => service.request('POST', `/admin/usernames/${name}/${route}`, { headers: adminHeaders, body });
+  const check = async name => (await service.request('GET', `/username/${name}?suggestions=false`)).body;
+
+  it('suspends a name without telling checks why', async () => {
+    await service.request('POST', '/username', { body: { username: 'troll_account' } });
+
+    const suspended = await moderate('troll_account', 'suspend');
+
+    assert.deepEqual(suspended.body, { username: 'troll_account', from: 'active', to: 'suspended' });
+    const answer = await check('troll_account');
+    assert.equal(answer.available, false);
+    assert.equal(answer.reason, undefined);
+    const listed = await service.request('GET', '/admin/usernames?status=suspended', { headers: adminHeaders });
+    assert.deepEqual(listed.body.results.map(result => result.username), ['troll_account']);
+  });
+
+  it('keeps a soft-deleted name blocked and restores it', async () => {
+    await service.request('POST', '/username', { body: { username: 'deleted_account' } });
+
+    await moderate('deleted_account', 'soft-delete');
+    assert.equal((await check('deleted_account')).reason, 'deleted');
+
+    const restored = await moderate('deleted_account', 'restore');
+    assert.equal(restored.body.to, 'active');
+    assert.equal((await service.store.get('deleted_account')).moderationLog.length, 2);
+  });
+
+  it('answers 409 to a transition that is not allowed and 404 to an unknown name', async () => {
+    await service.request('POST', '/username', { body: { username: 'clean_account' } });
+
+    assert.equal((await moderate('clean_account', 'restore')).status, 409);
+    assert.equal((await moderate('nobody_at_all', 'suspend')).status, 404);
+  });
+
+  it('requires a reason and an actor', async () => {
+    const { status } = await moderate('clean_account', 'suspend', { reason: 'spam' });
+
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,41 @@
+// username-normalizer.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUsername, validateUsername, scriptsOf, toSkeleton } = require('../username_normalizer');
+
+describe('username normalizer', () => {
+  it('folds width, compatibility forms and case', () => {
+    assert.equal(normalizeUsername('ｕｓｅｒ'), 'user');
+    assert.equal(normalizeUsername('Oﬁce'), 'ofice');
+    assert.equal(normalizeUsername(' Alice '), 'alice');
+  });
+
+  it('accepts names in one script and the CJK mixes', () => {
+    for (const name of ['alice_99', 'андрей', 'ελένη', '山田太郎', 'tanaka_たろう', '김민수_kim', 'josé']) {
+      assert.equal(validateUsername(normalizeUsername(name)), null, name);
+    }
+  });
+
+  it('rejects mixed scripts and malformed names', () => {
+    assert.equal(validateUsername('pаypal'), 'mixed_scripts'); // Cyrillic "а"
+    assert.deepEqual(scriptsOf('pаypal').sort(), ['Cyrillic', 'Latin']);
+    assert.equal(validateUsername('ab'), 'invalid_format');
+    assert.equal(validateUsername('has space'), 'invalid_format');
+    assert.equal(validateUsername('a'.repeat(21)), 'invalid_format');
+    assert.equal(validateUsername(42), 'invalid_format');
+  });
+
+  it('gives lookalikes the same skeleton', () => {
+    assert.equal(toSkeleton('ραρα'), toSkeleton('papa')); // Greek
+    assert.equal(toSkeleton('раура1'), 'paypal'); // Cyrillic and a digit
+    assert.equal(toSkeleton('l0gin'), 'login');
+    assert.equal(toSkeleton('modern'), 'modem');
+    assert.equal(toSkeleton('ｖｖeb'), 'web');
+    assert.notEqual(toSkeleton('jose'), toSkeleton('josé'));
+  });
+
+  it('keeps accents on mapped lookalikes', () => {
+    assert.equal(toSkeleton('се́'), 'cé'); // Cyrillic "с", "е" and a combining acute
+    assert.equal(toSkeleton('се́'), toSkeleton('cé'));
+  });
+});
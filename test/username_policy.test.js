@@ -0,0 +1,75 @@
+// username-policy.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsernamePolicy, PolicyError } = require('../username_policy');
+
+function policyWith(lists) {
+  const policy = new UsernamePolicy();
+  policy.setLists({ reserved: [], ...lists });
+  return policy;
+}
+
+describe('UsernamePolicy', () => {
+  it('reserves names, their underscore variants and their lookalikes', () => {
+    const policy = new UsernamePolicy();
+
+    assert.deepEqual(policy.evaluate('Admin'), { reason: 'reserved', list: 'reserved', rule: 'admin' });
+    assert.equal(policy.evaluate('ad_min').rule, 'admin');
+    assert.equal(policy.evaluate('аdmin').reason, 'reserved'); // Cyrillic "а"
+    assert.equal(policy.evaluate('admin_team'), null);
+  });
+
+  it('checks blocked words, patterns and brands in that order', () => {
+    const policy = policyWith({ blockedSubstrings: ['badword'], blockedPatterns: ['^\\d+$'], protectedBrands: ['acme'] });
+
+    assert.equal(policy.evaluate('my_bad_word').list, 'blockedSubstrings');
+    assert.equal(policy.evaluate('12345').list, 'blockedPatterns');
+    assert.deepEqual(policy.evaluate('acme_support'), { reason: 'protected_brand', list: 'protectedBrands', rule: 'acme' });
+    assert.equal(policy.evaluate('acme_badword').list, 'blockedSubstrings');
+    assert.ok(policy.isAllowed('plain_name'));
+  });
+
+  it('keeps the current lists when a pattern does not compile', () => {
+    const policy = policyWith({ blockedPatterns: ['^bot'] });
+
+    assert.throws(() => policy.setLists({ blockedPatterns: ['('] }), PolicyError);
+    assert.equal(policy.evaluate('bot_account').list, 'blockedPatterns');
+  });
+
+  it('rejects an unknown list', async () => {
+    await assert.rejects(() => new UsernamePolicy().addEntries('nonsense', ['x']), PolicyError);
+  });
+
+  it('writes admin edits back to the file and reloads them', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'username-policy-'));
+    try {
+      const filePath = path.join(directory, 'policy.json');
+      await fs.promises.writeFile(filePath, JSON.stringify({ reserved: ['Founder'] }));
+      const policy = new UsernamePolicy({ filePath });
+      await policy.load();
+      assert.equal(policy.evaluate('founder').list, 'reserved');
+      assert.equal(policy.evaluate('admin'), null); // the file's list replaces the defaults
+
+      await policy.addEntries('protectedBrands', ['Acme']);
+      assert.equal(await policy.removeEntry('reserved', 'FOUNDER'), true);
+      assert.equal(await policy.removeEntry('reserved', 'founder'), false);
+
+      const reloaded = new UsernamePolicy({ filePath });
+      await reloaded.load();
+      assert.deepEqual(reloaded.lists.protectedBrands, ['acme']);
+      assert.deepEqual(reloaded.lists.reserved, []);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the defaults when the file does not exist', async () => {
+    const policy = new UsernamePolicy({ filePath: path.join(os.tmpdir(), 'no-such-policy.json') });
+    await policy.load();
+
+    assert.equal(policy.evaluate('root').list, 'reserved');
+  });
+});
@@ -0,0 +1,99 @@
+// username-quarantine.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuarantineSweeper } = require('../username_quarantine');
+const { MemoryUsernameStore } = require('../username_store');
+const { startService, adminHeaders, sleep } = require('./harness');
+
+async function storeWith(names) {
+  const store = new MemoryUsernameStore();
+  for (const name of names) await store.register(name);
+  return store;
+}
+
+describe('QuarantineSweeper', () => {
+  it('frees every expired name, batch after batch, and nothing else', async () => {
+    const store = await storeWith(['gone_1', 'gone_2', 'gone_3', 'waiting', 'active_name']);
+    const past = new Date(Date.now() - 1000);
+    for (const name of ['gone_1', 'gone_2', 'gone_3']) await store.quarantine(name, past);
+    await store.quarantine('waiting', new Date(Date.now() + 60 * 1000));
+    const deleted = [];
+    store.on('deleted', username => deleted.push(username));
+    const sweeper = new QuarantineSweeper(store, { batchSize: 2 });
+
+    assert.equal(await sweeper.sweep(), 3);
+
+    assert.deepEqual(deleted.sort(), ['gone_1', 'gone_2', 'gone_3']);
+    assert.equal((await store.get('waiting')).status, 'quarantined');
+    assert.ok(await store.get('active_name'));
+    assert.equal(sweeper.getStatus().released, 3);
+  });
+
+  it('runs one sweep at a time', async () => {
+    const store = await storeWith(['gone']);
+    await store.quarantine('gone', new Date(Date.now() - 1000));
+    const releaseExpired = store.releaseExpiredQuarantine.bind(store);
+    store.releaseExpiredQuarantine = async (...args) => {
+      await sleep(50);
+      return releaseExpired(...args);
+    };
+    const sweeper = new QuarantineSweeper(store);
+
+    const [first, second] = await Promise.all([sweeper.sweep(), sweeper.sweep()]);
+
+    assert.deepEqual([first, second], [1, 0]);
+    assert.equal(sweeper.getStatus().sweeps, 1);
+  });
+
+  it('records a failed sweep', async () => {
+    const store = new MemoryUsernameStore();
+    store.releaseExpiredQuarantine = async () => { throw new Error('storage down'); };
+    const sweeper = new QuarantineSweeper(store);
+
+    assert.equal(await sweeper.sweep(), 0);
+    assert.equal(sweeper.getStatus().last_error, 'storage down');
+  });
+});
+
+describe('rename', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('moves to the new name and quarantines the old one', async () => {
+    service = await startService();
+    await service.request('POST', '/username', { body: { username: 'old_handle' } });
+
+    const renamed = await service.request('POST', '/admin/usernames/old_handle/rename', { headers: adminHeaders, body: { username: 'New_Handle' } });
+
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.username, 'new_handle');
+    assert.equal(renamed.body.previous_status, 'quarantined');
+    assert.equal((await service.request('GET', '/username/new_handle?suggestions=false')).body.available, false);
+    assert.equal((await service.request('GET', '/username/old_handle?suggestions=false')).body.reason, 'quarantined');
+  });
+
+  it('refuses a new name that is taken and keeps the old one active', async () => {
+    service = await startService();
+    await service.request('POST', '/username', { body: { username: 'first_user' } });
+    await service.request('POST', '/username', { body: { username: 'second_user' } });
+
+    const renamed = await service.request('POST', '/admin/usernames/first_user/rename', { headers: adminHeaders, body: { username: 'second_user' } });
+
+    assert.equal(renamed.status, 409);
+    assert.equal(await service.store.getStatus('first_user'), 'active');
+  });
+
+  it('frees a released name once its quarantine ends', async () => {
+    service = await startService({ env: { QUARANTINE_SECONDS: '0' } });
+    await service.request('POST', '/username', { body: { username: 'short_stay' } });
+    await service.request('POST', '/admin/usernames/short_stay/release', { headers: adminHeaders });
+
+    await new QuarantineSweeper(service.store).sweep();
+
+    const check = await service.request('GET', '/username/short_stay?suggestions=false');
+    assert.equal(check.body.available, true);
+  });
+});
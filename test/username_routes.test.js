@@ -0,0 +1,135 @@
+// username-routes.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, adminHeaders } = require('./harness');
+
+describe('username routes', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+  });
+
+  after(async () => {
+    await service.close();
+  });
+
+  it('reports an unregistered name as available from the Bloom filter', async () => {
+    const { status, body } = await service.request('GET', '/username/fresh_name');
+
+    assert.equal(status, 200);
+    assert.equal(body.available, true);
+    assert.equal(body.source, 'bloom_filter');
+  });
+
+  it('registers a name, then reports it taken', async () => {
+    const created = await service.request('POST', '/username', { body: { username: 'Alice_Smith' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.username, 'alice_smith');
+
+    const check = await service.request('GET', '/username/alice_smith?suggestions=false');
+    assert.equal(check.status, 200);
+    assert.equal(check.body.available, false);
+    assert.equal(check.body.source, 'database');
+  });
+
+  it('suggests alternatives from the database, but not on a cache hit', async () => {
+    await service.request('POST', '/username', { body: { username: 'popular' } });
+
+    const first = await service.request('GET', '/username/popular');
+    assert.equal(first.body.source, 'database');
+    assert.ok(first.body.suggestions.length > 0);
+
+    const second = await service.request('GET', '/username/popular');
+    assert.equal(second.body.source, 'local_cache');
+    assert.equal(second.body.suggestions, undefined);
+  });
+
+  it('offers no suggestions for a reserved name', async () => {
+    const { body } = await service.request('GET', '/username/admin');
+
+    assert.equal(body.available, false);
+    assert.equal(body.source, 'policy');
+    assert.equal(body.suggestions, undefined);
+  });
+
+  it('rejects a duplicate registration with 409', async () => {
+    await service.request('POST', '/username', { body: { username: 'dup_name' } });
+    const second = await service.request('POST', '/username', { body: { username: 'DUP_NAME', suggestions: false } });
+
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error, 'Username already taken');
+  });
+
+  it('rejects a lookalike of a taken name', async () => {
+    await service.request('POST', '/username', { body: { username: 'paypal' } });
+    const lookalike = await service.request('POST', '/username', { body: { username: 'paypa1', suggestions: false } });
+
+    assert.equal(lookalike.status, 409);
+  });
+
+  it('rejects invalid names with 400', async () => {
+    const check = await service.request('GET', '/username/a');
+    const register = await service.request('POST', '/username', { body: {} });
+
+    assert.equal(check.status, 400);
+    assert.equal(register.status, 400);
+  });
+
+  it('checks a batch of names', async () => {
+    await service.request('POST', '/username', { body: { username: 'batch_taken' } });
+    const { status, body } = await service.request('POST', '/usernames/check', {
+      body: { usernames: ['batch_taken', 'batch_free', 'x'] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.results[0].available, false);
+    assert.equal(body.results[1].available, true);
+    assert.equal(body.results[2].error, 'Invalid username format');
+  });
+
+  it('releases a name into quarantine, so it stays unavailable', async () => {
+    await service.request('POST', '/username', { body: { username: 'leaving_user' } });
+
+    const released = await service.request('POST', '/admin/usernames/leaving_user/release', { headers: adminHeaders });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.status, 'quarantined');
+
+    const check = await service.request('GET', '/username/leaving_user?suggestions=false');
+    assert.equal(check.body.available, false);
+    assert.equal(check.body.reason, 'quarantined');
+
+    const again = await service.request('POST', '/username', { body: { username: 'leaving_user', suggestions: false } });
+    assert.equal(again.status, 409);
+  });
+
+  it('returns 404 when releasing a name nobody holds', async () => {
+    const { status } = await service.request('POST', '/admin/usernames/nobody_here/release', { headers: adminHeaders });
+
+    assert.equal(status, 404);
+  });
+
+  it('requires the admin token to release', async () => {
+    const { status } = await service.request('POST', '/admin/usernames/leaving_user/release');
+
+    assert.equal(status, 401);
+  });
+
+  it('answers 400 to a path that does not decode', async () => {
+    const { status, body } = await service.request('GET', '/username/%E0%A4%A');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Malformed URL');
+  });
+
+  it('answers 400 to a malformed JSON body', async () => {
+    const response = await fetch(`${service.url}/username`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"username":'
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid JSON body');
+  });
+});
@@ -0,0 +1,27 @@
+// username-search.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { trigramsOf, minSharedTrigrams, editDistance } = require('../username_search');
+
+function shared(a, b) {
+  const other = new Set(trigramsOf(b));
+  return trigramsOf(a).filter(trigram => other.has(trigram)).length;
+}
+
+describe('fuzzy search trigrams', () => {
+  it('keeps every name within two edits above the shared-trigram floor', () => {
+    const query = 'johnathan_smith';
+    const nearby = ['jonhathan_smith', 'johnathan_smyth', 'jhnathan_smith', 'johnathan_smiths', 'johantahn_smith', 'xohnathan_smitx'];
+    const floor = minSharedTrigrams(trigramsOf(query).length, 2);
+
+    for (const name of nearby) {
+      assert.ok(editDistance(query, name, 2) <= 2, name);
+      assert.ok(shared(query, name) >= floor, `${name} shares ${shared(query, name)}, floor ${floor}`);
+    }
+    assert.ok(shared(query, 'jane_doe') < floor);
+  });
+
+  it('requires at least one shared trigram for short queries', () => {
+    assert.equal(minSharedTrigrams(trigramsOf('bob').length, 2), 1);
+  });
+});
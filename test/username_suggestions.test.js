@@ -0,0 +1,50 @@
+// username-suggestions.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryUsernameStore } = require('../username_store');
+const { UsernameSuggester } = require('../username_suggestions');
+const { toSkeleton } = require('../username_normalizer');
+const { sleep } = require('./harness');
+
+function suggester(store, options = {}) {
+  return new UsernameSuggester({ store, getBloomFilter: () => null, bloomKey: toSkeleton, strategies: ['numeric'], ...options });
+}
+
+describe('UsernameSuggester', () => {
+  it('leaves out taken names and their lookalikes', async () => {
+    const store = new MemoryUsernameStore();
+    await store.register('john1');
+    await store.register('j0hn2');
+
+    const suggestions = await suggester(store).suggest('john');
+    assert.ok(suggestions.length > 0);
+    assert.ok(!suggestions.includes('john1'));
+    assert.ok(!suggestions.includes('john2'));
+  });
+
+  it('leaves out held names', async () => {
+    const suggestions = await suggester(new MemoryUsernameStore(), {
+      getHeld: async skeletons => new Set(skeletons.filter(skeleton => skeleton === toSkeleton('john3')))
+    }).suggest('john');
+
+    assert.ok(suggestions.length > 0);
+    assert.ok(!suggestions.includes('john3'));
+  });
+
+  it('suggests nothing it could not confirm in time', async () => {
+    const store = new MemoryUsernameStore();
+    store.existsMany = async () => {
+      await sleep(100);
+      return new Set();
+    };
+
+    assert.deepEqual(await suggester(store, { timeoutMs: 20 }).suggest('john'), []);
+  });
+
+  it('suggests nothing when confirming fails', async () => {
+    const store = new MemoryUsernameStore();
+    store.existsMany = async () => { throw new Error('connection reset'); };
+
+    assert.deepEqual(await suggester(store).suggest('john'), []);
+  });
+});
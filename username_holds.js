@@ -0,0 +1,140 @@
+// username-holds.js
+const crypto = require('crypto');
+
+// Short-lived holds for the two-phase signup flow: POST /username/reserve
+// creates one, POST /username/confirm turns it into a registration. A held
+// name is reported unavailable to everyone else until the hold expires.
+//
+// Every hold store implements:
+//   create(username, skeleton, originalUsername)
+//                              -> hold, or null if the name is already held
+//   heldMany(skeletons)        -> Set of the skeletons currently held
+//   take(token)                -> hold (removed from the store), or null if expired/unknown
+//   restore(hold)              -> puts a taken hold back until its original expiry;
+//                                 false if it has expired or the name is held again
+//   stop()
+//
+// A hold looks like { token, username, originalUsername, skeleton, createdAt, expiresAt }.
+function newHold(username, skeleton, originalUsername, ttlMs) {
+  const now = Date.now();
+  return {
+    token: crypto.randomBytes(24).toString('base64url'),
+    username,
+    originalUsername: originalUsername || username,
+    skeleton,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+}
+
+// Single-instance holds. Expired holds are ignored on read and swept periodically.
+class MemoryHoldStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.ttlMs = options.ttlMs;
+    this.bySkeleton = new Map();
+    this.byToken = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs || 30 * 1000).unref();
+  }
+
+  async create(username, skeleton, originalUsername) {
+    if (this.live(this.bySkeleton.get(skeleton))) return null;
+
+    const hold = newHold(username, skeleton, originalUsername, this.ttlMs);
+    this.bySkeleton.set(skeleton, hold);
+    this.byToken.set(hold.token, hold);
+    return hold;
+  }
+
+  async heldMany(skeletons) {
+    return new Set(skeletons.filter(skeleton => this.live(this.bySkeleton.get(skeleton))));
+  }
+
+  async take(token) {
+    const hold = this.byToken.get(token);
+    if (!hold) return null;
+
+    this.remove(hold);
+    return this.live(hold) ? hold : null;
+  }
+
+  async restore(hold) {
+    if (!this.live(hold) || this.live(this.bySkeleton.get(hold.skeleton))) return false;
+
+    this.bySkeleton.set(hold.skeleton, hold);
+    this.byToken.set(hold.token, hold);
+    return true;
+  }
+
+  live(hold) {
+    return Boolean(hold) && Date.parse(hold.expiresAt) > Date.now();
+  }
+
+  remove(hold) {
+    this.byToken.delete(hold.token);
+    if (this.bySkeleton.get(hold.skeleton) === hold) this.bySkeleton.delete(hold.skeleton);
+  }
+
+  sweep() {
+    for (const hold of this.byToken.values()) {
+      if (!this.live(hold)) this.remove(hold);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Holds shared by every instance through Redis; expiry is left to key TTLs
+class RedisHoldStore {
+  constructor(redisCache, options = {}) {
+    this.name = 'redis';
+    this.redisCache = redisCache;
+    this.ttlMs = options.ttlMs;
+  }
+
+  async create(username, skeleton, originalUsername) {
+    const hold = newHold(username, skeleton, originalUsername, this.ttlMs);
+    return (await this.redisCache.createHold(hold, this.ttlMs)) ? hold : null;
+  }
+
+  async heldMany(skeletons) {
+    if (skeletons.length === 0) return new Set();
+    return new Set(await this.redisCache.findHeld(skeletons));
+  }
+
+  async take(token) {
+    return this.redisCache.takeHold(token);
+  }
+
+  async restore(hold) {
+    const ttlMs = Date.parse(hold.expiresAt) - Date.now();
+    if (ttlMs <= 0) return false;
+    return this.redisCache.createHold(hold, ttlMs);
+  }
+
+  async stop() {}
+}
+
+function createHoldStore(config, redisCache) {
+  const options = { ttlMs: config.holdTtlSeconds * 1000 };
+
+  switch (config.holdStore) {
+    case 'memory':
+      return new MemoryHoldStore(options);
+    case 'redis':
+      if (!redisCache) {
+        throw new Error('HOLD_STORE=redis needs Redis (REDIS_ENABLED is false)');
+      }
+      return new RedisHoldStore(redisCache, options);
+    default:
+      throw new Error(`Unknown HOLD_STORE "${config.holdStore}" (expected memory or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryHoldStore,
+  RedisHoldStore,
+  createHoldStore
+};
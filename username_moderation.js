@@ -0,0 +1,67 @@
+// username-moderation.js
+
+// Lifecycle of a username record. Records without a status are 'active';
+// restoring a name removes the field again so username_status_idx (partial on
+// status) only ever covers the few names that are not.
+const USERNAME_STATUSES = ['active', 'quarantined', 'suspended', 'deleted'];
+
+// Statuses that can be listed through username_status_idx
+const LISTABLE_STATUSES = USERNAME_STATUSES.filter(status => status !== 'active');
+
+// Admin moderation actions and the statuses they may start from
+const MODERATION_ACTIONS = {
+  suspend: { from: ['active'], to: 'suspended' },
+  restore: { from: ['suspended', 'deleted'], to: 'active' },
+  softDelete: { from: ['active', 'suspended'], to: 'deleted' }
+};
+
+// How each status answers an availability check. None of them frees the name:
+// soft-deleted names stay blocked for good, and a suspended name just looks
+// taken so checks don't leak moderation decisions.
+const STATUS_AVAILABILITY = {
+  active: { available: false },
+  quarantined: { available: false, reason: 'quarantined' },
+  suspended: { available: false },
+  deleted: { available: false, reason: 'deleted' }
+};
+
+// code: not_found | invalid_transition | conflict
+class ModerationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ModerationError';
+    this.code = code;
+  }
+}
+
+// Checks that `action` may be applied to `document` and returns the change
+// plus the log entry to record with it
+function planStatusChange(document, action, { reason, actor }) {
+  const transition = MODERATION_ACTIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown moderation action "${action}"`);
+  }
+  if (!document) {
+    throw new ModerationError('Username not found', 'not_found');
+  }
+
+  const from = document.status || 'active';
+  if (!transition.from.includes(from)) {
+    throw new ModerationError(`Cannot ${action} a username that is ${from}`, 'invalid_transition');
+  }
+
+  return {
+    from,
+    to: transition.to,
+    entry: { action, from, to: transition.to, reason, actor, at: new Date() }
+  };
+}
+
+module.exports = {
+  USERNAME_STATUSES,
+  LISTABLE_STATUSES,
+  MODERATION_ACTIONS,
+  STATUS_AVAILABILITY,
+  ModerationError,
+  planStatusChange
+};
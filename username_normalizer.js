@@ -0,0 +1,102 @@
+// username-normalizer.js
+
+// Letters, combining marks, decimal digits and underscore, 3-20 code points
+const USERNAME_PATTERN = /^[\p{L}\p{M}\p{Nd}_]{3,20}$/u;
+
+const KNOWN_SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic',
+  'Devanagari', 'Bengali', 'Tamil', 'Telugu', 'Thai', 'Ethiopic',
+  'Han', 'Hiragana', 'Katakana', 'Bopomofo', 'Hangul'
+].map(script => ({ script, regex: new RegExp(`\\p{Script=${script}}`, 'u') }));
+
+// Script combinations allowed in one name (UTS #39 "highly restrictive"):
+// a single script, or Latin alongside the scripts CJK languages mix natively
+const ALLOWED_SCRIPT_SETS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+// Characters that render (near) identically to a Latin letter or digit.
+// Applied to the NFD form, so accented lookalikes keep their accent
+// (Cyrillic "е́" ends up next to Latin "é").
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'ӏ': 'l',
+  'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y',
+  // Greek
+  'α': 'a', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+  'υ': 'u', 'χ': 'x', 'γ': 'y', 'ω': 'w',
+  // Latin lookalikes and digits
+  'ı': 'i', 'ɡ': 'g', 'ℓ': 'l', '0': 'o', '1': 'l'
+};
+
+// Multi-character lookalikes, applied after single characters are mapped
+const CONFUSABLE_SEQUENCES = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w']
+];
+
+// Canonical form used for storage and display: NFKC folds width and
+// compatibility variants (ｕｓｅｒ -> user, ﬁ -> fi), then case-fold
+function normalizeUsername(username) {
+  return String(username).normalize('NFKC').toLowerCase().trim();
+}
+
+function scriptsOf(username) {
+  const scripts = new Set();
+  for (const char of username) {
+    // Digits, marks, _ and shared characters such as the Katakana-Hiragana
+    // prolonged sound mark (Script=Common) go with any script
+    if (!/\p{L}/u.test(char) || /[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) continue;
+    const known = KNOWN_SCRIPTS.find(({ regex }) => regex.test(char));
+    scripts.add(known ? known.script : 'Other');
+  }
+  return [...scripts];
+}
+
+function hasAllowedScripts(username) {
+  const scripts = scriptsOf(username);
+  if (scripts.length <= 1) return true;
+  return ALLOWED_SCRIPT_SETS.some(allowed => scripts.every(script => allowed.includes(script)));
+}
+
+// Returns null for a valid (already normalized) username, otherwise a reason code
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'invalid_format';
+  }
+  if (!hasAllowedScripts(username)) {
+    return 'mixed_scripts';
+  }
+  return null;
+}
+
+function isValidUsername(username) {
+  return validateUsername(username) === null;
+}
+
+// Confusable "skeleton" in the spirit of UTS #39: two names with the same
+// skeleton look alike and must not both be registered. Maps lookalike
+// characters to Latin and collapses lookalike sequences.
+function toSkeleton(username) {
+  let skeleton = '';
+  for (const char of normalizeUsername(username).normalize('NFD')) {
+    skeleton += CONFUSABLES[char] || char;
+  }
+
+  for (const [pattern, replacement] of CONFUSABLE_SEQUENCES) {
+    skeleton = skeleton.replace(pattern, replacement);
+  }
+
+  return skeleton.normalize('NFC');
+}
+
+module.exports = {
+  USERNAME_PATTERN,
+  normalizeUsername,
+  validateUsername,
+  isValidUsername,
+  scriptsOf,
+  toSkeleton
+};
@@ -0,0 +1,179 @@
+// username-policy.js
+const fs = require('fs');
+const { toSkeleton } = require('./username_normalizer');
+const logger = require('./logger').logger.child({ component: 'policy' });
+
+// Lists the policy understands, in the order they are checked
+const POLICY_LISTS = {
+  reserved: 'reserved',                 // exact names kept back for the platform
+  blockedSubstrings: 'blocked',         // offensive words, anywhere in the name
+  blockedPatterns: 'blocked',           // regular expressions
+  protectedBrands: 'protected_brand'    // brand names, anywhere in the name
+};
+
+const DEFAULT_POLICY = {
+  reserved: [
+    'admin', 'administrator', 'root', 'system', 'support', 'help', 'helpdesk',
+    'api', 'www', 'mail', 'email', 'staff', 'moderator', 'mod', 'security',
+    'billing', 'official', 'login', 'signup', 'register', 'settings', 'null', 'undefined'
+  ],
+  blockedSubstrings: [],
+  blockedPatterns: [],
+  protectedBrands: []
+};
+
+// Reserved/blocked username rules. Lists come from a JSON file shaped like
+// DEFAULT_POLICY, can be reloaded at runtime, and admin edits are written back
+// to the same file so they survive restarts.
+class UsernamePolicy {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.lists = null;
+    this.compiledPatterns = [];
+    this.loadedAt = null;
+
+    this.setLists(DEFAULT_POLICY);
+  }
+
+  setLists(lists) {
+    const next = {};
+    for (const name of Object.keys(POLICY_LISTS)) {
+      const entries = Array.isArray(lists[name]) ? lists[name] : [];
+      next[name] = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+    }
+
+    // Compile first so a bad pattern leaves the current lists untouched
+    const compiledPatterns = next.blockedPatterns.map((pattern) => {
+      try {
+        return { pattern, regex: new RegExp(pattern, 'i') };
+      } catch (error) {
+        throw new PolicyError(`Invalid blocked pattern "${pattern}": ${error.message}`);
+      }
+    });
+
+    next.reserved = next.reserved.map(entry => entry.toLowerCase());
+    next.blockedSubstrings = next.blockedSubstrings.map(entry => entry.toLowerCase());
+    next.protectedBrands = next.protectedBrands.map(entry => entry.toLowerCase());
+
+    this.lists = next;
+    this.reservedSet = new Set(next.reserved);
+    this.compiledPatterns = compiledPatterns;
+    this.loadedAt = new Date();
+  }
+
+  // (Re)read the policy file; without one the built-in defaults stay in place
+  async load() {
+    if (!this.filePath) return this.lists;
+
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn('Policy file not found, using built-in defaults', { file: this.filePath });
+        return this.lists;
+      }
+      throw new Error(`Could not load policy file ${this.filePath}: ${error.message}`);
+    }
+
+    this.setLists({ ...DEFAULT_POLICY, ...data });
+    logger.info('Username policy loaded', {
+      reserved: this.lists.reserved.length,
+      blocked: this.lists.blockedSubstrings.length + this.lists.blockedPatterns.length,
+      brands: this.lists.protectedBrands.length
+    });
+    return this.lists;
+  }
+
+  async save() {
+    if (!this.filePath) return;
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.lists, null, 2) + '\n');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // Returns null when allowed, otherwise { reason, list, rule }. Lookalikes are
+  // checked too, so "аdmin" with a Cyrillic "а" is as reserved as "admin".
+  evaluate(username) {
+    const name = username.toLowerCase();
+    const skeleton = toSkeleton(name);
+    return this.evaluateForm(name) || (skeleton !== name ? this.evaluateForm(skeleton) : null);
+  }
+
+  evaluateForm(name) {
+    // Catch "ad_min" style evasions of reserved names and words
+    const compact = name.replace(/_/g, '');
+
+    if (this.reservedSet.has(name) || this.reservedSet.has(compact)) {
+      return { reason: POLICY_LISTS.reserved, list: 'reserved', rule: this.reservedSet.has(name) ? name : compact };
+    }
+
+    const substring = this.lists.blockedSubstrings.find(word => name.includes(word) || compact.includes(word));
+    if (substring) {
+      return { reason: POLICY_LISTS.blockedSubstrings, list: 'blockedSubstrings', rule: substring };
+    }
+
+    const pattern = this.compiledPatterns.find(({ regex }) => regex.test(name));
+    if (pattern) {
+      return { reason: POLICY_LISTS.blockedPatterns, list: 'blockedPatterns', rule: pattern.pattern };
+    }
+
+    const brand = this.lists.protectedBrands.find(word => name.includes(word) || compact.includes(word));
+    if (brand) {
+      return { reason: POLICY_LISTS.protectedBrands, list: 'protectedBrands', rule: brand };
+    }
+
+    return null;
+  }
+
+  isAllowed(username) {
+    return this.evaluate(username) === null;
+  }
+
+  async addEntries(list, entries) {
+    this.assertList(list);
+    this.setLists({ ...this.lists, [list]: [...this.lists[list], ...entries] });
+    await this.save();
+    return this.lists[list];
+  }
+
+  async removeEntry(list, entry) {
+    this.assertList(list);
+    const target = list === 'blockedPatterns' ? entry : entry.toLowerCase();
+    const remaining = this.lists[list].filter(existing => existing !== target);
+    const removed = remaining.length !== this.lists[list].length;
+
+    this.setLists({ ...this.lists, [list]: remaining });
+    if (removed) await this.save();
+    return removed;
+  }
+
+  assertList(list) {
+    if (!Object.prototype.hasOwnProperty.call(POLICY_LISTS, list)) {
+      throw new PolicyError(`Unknown policy list "${list}" (expected one of: ${Object.keys(POLICY_LISTS).join(', ')})`);
+    }
+  }
+
+  toJSON() {
+    return {
+      file: this.filePath,
+      loadedAt: this.loadedAt,
+      lists: this.lists
+    };
+  }
+}
+
+// Bad admin input: unknown list name or a pattern that doesn't compile
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+module.exports = {
+  POLICY_LISTS,
+  DEFAULT_POLICY,
+  UsernamePolicy,
+  PolicyError
+};
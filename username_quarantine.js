@@ -0,0 +1,73 @@
+// username-quarantine.js
+const logger = require('./logger').logger.child({ component: 'quarantine' });
+
+// Frees released and renamed usernames once their quarantine ends. Freeing is
+// a plain store delete, so the 'deleted' event updates the Bloom filter, cache
+// and sync channel the same way any other delete does. Every instance may run
+// a sweeper: the store only deletes a record that is still quarantined, so each
+// name is freed once.
+class QuarantineSweeper {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.batchSize = options.batchSize || 500;
+    this.timer = null;
+    this.running = false;
+
+    this.stats = {
+      sweeps: 0,
+      released: 0,
+      lastSweepAt: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), this.intervalMs).unref();
+  }
+
+  async sweep() {
+    if (this.running) return 0; // a slow sweep is still going
+    this.running = true;
+
+    try {
+      let total = 0;
+      let released;
+      do {
+        released = await this.store.releaseExpiredQuarantine(new Date(), this.batchSize);
+        total += released.length;
+        released.forEach(username => logger.info('Quarantine ended', { username }));
+      } while (released.length === this.batchSize);
+
+      this.stats.sweeps++;
+      this.stats.released += total;
+      this.stats.lastSweepAt = new Date().toISOString();
+      this.stats.lastError = null;
+      return total;
+    } catch (error) {
+      logger.warn('Quarantine sweep failed', { error: error.message });
+      this.stats.lastError = error.message;
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      interval_ms: this.intervalMs,
+      sweeps: this.stats.sweeps,
+      released: this.stats.released,
+      last_sweep_at: this.stats.lastSweepAt,
+      last_error: this.stats.lastError
+    };
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  QuarantineSweeper
+};
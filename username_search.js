@@ -0,0 +1,117 @@
+// username-search.js
+const { normalizeUsername } = require('./username_normalizer');
+
+// Admin search modes. Input is always matched literally, never as a regex.
+//   exact   one name, straight off username_unique_idx
+//   prefix  names starting with the query, an index range scan in username order
+//   fuzzy   names within a small edit distance, ranked; candidates come from
+//           trigram_idx, through the query's rarest trigrams, and at most
+//           scanLimit of them are read so the collection is never scanned
+// Each mode has a time budget (Mongo maxTimeMS); a search that runs over it
+// fails with a SearchError instead of tying up the database.
+const SEARCH_MODES = {
+  exact: { timeBudgetMs: 100 },
+  prefix: { timeBudgetMs: 500 },
+  fuzzy: { timeBudgetMs: 2000, maxDistance: 2, candidateLimit: 500, scanLimit: 5000, probeLimit: 1000 }
+};
+
+// One edit changes at most 4 of a name's trigrams (a swap of neighbours; an
+// insert, delete or substitution changes at most 3)
+const TRIGRAMS_PER_EDIT = 4;
+
+const MAX_QUERY_LENGTH = 20;
+
+// code: invalid_mode | invalid_query | timeout
+class SearchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Normalizes the query the way stored names are, and rejects what no mode can serve
+function parseSearch(query, mode = 'prefix') {
+  if (!SEARCH_MODES[mode]) {
+    throw new SearchError(`Unknown search mode "${mode}" (expected one of: ${Object.keys(SEARCH_MODES).join(', ')})`, 'invalid_mode');
+  }
+
+  const normalized = normalizeUsername(query || '');
+  if (normalized.length === 0 || [...normalized].length > MAX_QUERY_LENGTH) {
+    throw new SearchError(`Search query must be 1-${MAX_QUERY_LENGTH} characters`, 'invalid_query');
+  }
+
+  return { query: normalized, mode, ...SEARCH_MODES[mode] };
+}
+
+// Trigrams of the name padded with ^ and $, so the start and end of a name
+// count as much as its middle ("bob" -> ^^b ^bo bob ob$)
+function trigramsOf(username) {
+  const chars = ['^', '^', ...normalizeUsername(username), '$'];
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= chars.length; i++) {
+    trigrams.add(chars.slice(i, i + 3).join(''));
+  }
+  return [...trigrams];
+}
+
+// Fewest trigrams a name within maxDistance edits of the query must share with
+// it, out of the query's `trigramCount`. Always at least 1.
+function minSharedTrigrams(trigramCount, maxDistance) {
+  return Math.max(1, trigramCount - TRIGRAMS_PER_EDIT * maxDistance);
+}
+
+// Edit distance counting swapped neighbours as one edit ("jonh" -> "john"),
+// giving up (returning maxDistance + 1) as soon as it can't come in under maxDistance
+function editDistance(a, b, maxDistance = Infinity) {
+  const s = [...a];
+  const t = [...b];
+  if (Math.abs(s.length - t.length) > maxDistance) return maxDistance + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+// Keeps candidates within maxDistance, closest first (ties in username order)
+function rankFuzzyMatches(query, candidates, { maxDistance, limit }) {
+  return candidates
+    .map(doc => ({ doc, distance: editDistance(query, doc.username, maxDistance) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || (a.doc.username < b.doc.username ? -1 : 1))
+    .slice(0, limit)
+    .map(({ doc, distance }) => ({ ...doc, distance }));
+}
+
+module.exports = {
+  SEARCH_MODES,
+  SearchError,
+  escapeRegex,
+  parseSearch,
+  trigramsOf,
+  minSharedTrigrams,
+  editDistance,
+  rankFuzzyMatches
+};
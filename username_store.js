@@ -0,0 +1,368 @@
+// username-store.js
+const { EventEmitter } = require('events');
+const { UsernameDatabase, UsernameExistsError } = require('./mongodb_schema');
+const { normalizeUsername, toSkeleton } = require('./username_normalizer');
+const { ModerationError, planStatusChange } = require('./username_moderation');
+const { SearchError, parseSearch, rankFuzzyMatches } = require('./username_search');
+const { mongoOptions } = require('./config');
+
+// Storage contract used by the API. Every backend implements:
+//   connect() / disconnect() / ping()
+//   exists(username)            -> boolean, true if the name or a lookalike is taken
+//   existsMany(usernames)       -> Set of the usernames that are taken (one round trip)
+//   getStatuses(usernames)      -> Map of taken username -> status (see username_moderation.js)
+//   get(username)               -> the exact record, or null
+//   register(username, meta)    -> id, throws UsernameExistsError on duplicates
+//   delete(username)            -> boolean (true if something was removed)
+//   quarantine(username, until, meta)
+//                               -> boolean, false unless an unquarantined record was found
+//   releaseExpiredQuarantine(now, limit)
+//                               -> usernames deleted because their quarantine ended
+//   changeStatus(username, action, { reason, actor })
+//                               -> { username, from, to }, throws ModerationError
+//   listByStatus(status, { after, limit })
+//                               -> records in that status, in username order
+//   streamAll({ createdAfter }) -> async iterable of normalized usernames
+//   search(query, { mode, after, limit })
+//                               -> { results, pagination: { limit, nextCursor } }, throws SearchError
+//   getStats()                  -> backend specific stats object
+//
+// Stores emit 'registered', 'statusChanged' and 'deleted' (normalized username)
+// after a successful write, so the Bloom filter, cache and cross-instance sync
+// can follow every write path in one place. Stores that change streams watch
+// also emit 'writing' (type, username) before a register or delete reaches the
+// database, and 'writeFailed' (type, username) if it doesn't happen, where type
+// is 'registered' or 'deleted'.
+class UsernameStore extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  async ping() {}
+
+  normalize(username) {
+    return normalizeUsername(username);
+  }
+
+  async getStatus(username) {
+    const normalized = this.normalize(username);
+    return (await this.getStatuses([normalized])).get(normalized) || null;
+  }
+
+  async changeStatus(username, action, details) {
+    const normalized = this.normalize(username);
+    const { from, to, entry } = planStatusChange(await this.get(normalized), action, details);
+
+    if (!(await this.applyStatusChange(normalized, from, to, entry))) {
+      throw new ModerationError('Username status changed concurrently, retry', 'conflict');
+    }
+
+    this.emit('statusChanged', normalized, to);
+    return { username: normalized, from, to };
+  }
+
+  // Runs a register or delete between 'writing' and, unless it returns
+  // something truthy, 'writeFailed'
+  async trackWrite(type, username, write) {
+    this.emit('writing', type, username);
+    let result;
+    try {
+      result = await write();
+      return result;
+    } finally {
+      if (!result) this.emit('writeFailed', type, username);
+    }
+  }
+}
+
+// MongoDB backend, a thin adapter over UsernameDatabase
+class MongoUsernameStore extends UsernameStore {
+  constructor(config = {}) {
+    super('mongodb');
+    const { url, dbName, ...clientOptions } = mongoOptions(config);
+    this.database = new UsernameDatabase(url, dbName, clientOptions);
+  }
+
+  async connect() {
+    await this.database.connect();
+  }
+
+  async disconnect() {
+    await this.database.disconnect();
+  }
+
+  async ping() {
+    await this.database.db.admin().ping();
+  }
+
+  async exists(username) {
+    return this.database.isUsernameTaken(this.normalize(username));
+  }
+
+  async existsMany(usernames) {
+    if (usernames.length === 0) return new Set();
+    const existing = await this.database.findExistingUsernames(usernames.map(username => this.normalize(username)));
+    return new Set(existing);
+  }
+
+  async getStatuses(usernames) {
+    if (usernames.length === 0) return new Map();
+    return this.database.findUsernameStatuses(usernames.map(username => this.normalize(username)));
+  }
+
+  async get(username) {
+    return this.database.getUsername(this.normalize(username));
+  }
+
+  async register(username, metadata = {}) {
+    const normalized = this.normalize(username);
+    const id = await this.trackWrite('registered', normalized, () => this.database.registerUsername(username, metadata));
+    this.emit('registered', normalized);
+    return id;
+  }
+
+  async delete(username) {
+    const normalized = this.normalize(username);
+    const deleted = await this.trackWrite('deleted', normalized, () => this.database.deleteUsername(normalized));
+    if (deleted) this.emit('deleted', normalized);
+    return deleted;
+  }
+
+  async quarantine(username, until, metadata = {}) {
+    const normalized = this.normalize(username);
+    const quarantined = await this.database.quarantineUsername(normalized, until, metadata);
+    if (quarantined) this.emit('statusChanged', normalized, 'quarantined');
+    return quarantined;
+  }
+
+  async applyStatusChange(username, from, to, entry) {
+    return this.database.updateUsernameStatus(username, from, to, entry);
+  }
+
+  async listByStatus(status, options = {}) {
+    return this.database.listUsernamesByStatus(status, options);
+  }
+
+  async releaseExpiredQuarantine(now = new Date(), limit = 500) {
+    const released = [];
+    for (const doc of await this.database.findExpiredQuarantine(now, limit)) {
+      if (await this.trackWrite('deleted', doc.username, () => this.database.deleteQuarantinedUsername(doc._id))) {
+        released.push(doc.username);
+        this.emit('deleted', doc.username);
+      }
+    }
+    return released;
+  }
+
+  async *streamAll({ createdAfter = null } = {}) {
+    for await (const doc of this.database.getUsernameStream(createdAfter)) {
+      yield doc.username;
+    }
+  }
+
+  async search(query, options = {}) {
+    return this.database.searchUsernames(query, options);
+  }
+
+  // Change stream on the usernames collection (used by cross-instance Bloom sync)
+  watch(pipeline = [], options = {}) {
+    return this.database.collection.watch(pipeline, options);
+  }
+
+  async getStats() {
+    return this.database.getStats();
+  }
+}
+
+// In-memory backend for local runs and route tests, no database required
+class MemoryUsernameStore extends UsernameStore {
+  constructor() {
+    super('memory');
+    this.documents = new Map();
+    this.skeletons = new Map(); // skeleton -> username, mirrors skeleton_unique_idx
+    this.nextId = 1;
+  }
+
+  async exists(username) {
+    const normalized = this.normalize(username);
+    return this.documents.has(normalized) || this.skeletons.has(toSkeleton(normalized));
+  }
+
+  async existsMany(usernames) {
+    return new Set((await this.getStatuses(usernames)).keys());
+  }
+
+  async getStatuses(usernames) {
+    const statuses = new Map();
+    for (const username of usernames.map(name => this.normalize(name))) {
+      const owner = this.documents.has(username) ? username : this.skeletons.get(toSkeleton(username));
+      if (owner) statuses.set(username, this.documents.get(owner).status || 'active');
+    }
+    return statuses;
+  }
+
+  async get(username) {
+    return this.documents.get(this.normalize(username)) || null;
+  }
+
+  async register(username, metadata = {}) {
+    const normalized = this.normalize(username);
+    const skeleton = toSkeleton(normalized);
+    if (this.documents.has(normalized) || this.skeletons.has(skeleton)) {
+      throw new UsernameExistsError(normalized);
+    }
+
+    const document = {
+      _id: this.nextId++,
+      username: normalized,
+      skeleton,
+      originalUsername: username,
+      createdAt: new Date(),
+      ...metadata
+    };
+
+    this.documents.set(normalized, document);
+    this.skeletons.set(skeleton, normalized);
+    this.emit('registered', normalized);
+    return document._id;
+  }
+
+  async delete(username) {
+    const normalized = this.normalize(username);
+    const document = this.documents.get(normalized);
+    const deleted = this.documents.delete(normalized);
+    if (deleted) {
+      this.skeletons.delete(document.skeleton);
+      this.emit('deleted', normalized);
+    }
+    return deleted;
+  }
+
+  async quarantine(username, until, metadata = {}) {
+    const normalized = this.normalize(username);
+    const document = this.documents.get(normalized);
+    if (!document || (document.status && document.status !== 'active')) return false;
+
+    Object.assign(document, { status: 'quarantined', quarantinedAt: new Date(), quarantinedUntil: until, ...metadata });
+    this.emit('statusChanged', normalized, 'quarantined');
+    return true;
+  }
+
+  async applyStatusChange(username, from, to, entry) {
+    const document = this.documents.get(username);
+    if (!document || (document.status || 'active') !== from) return false;
+
+    if (to === 'active') delete document.status;
+    else document.status = to;
+    Object.assign(document, { statusReason: entry.reason, statusChangedBy: entry.actor, statusChangedAt: entry.at });
+    document.moderationLog = [...(document.moderationLog || []), entry];
+    return true;
+  }
+
+  async listByStatus(status, { after = null, limit = 50 } = {}) {
+    return [...this.documents.values()]
+      .filter(doc => doc.status === status && (!after || doc.username > after))
+      .sort((a, b) => (a.username < b.username ? -1 : 1))
+      .slice(0, limit)
+      .map(({ username, status: docStatus, statusReason, statusChangedBy, statusChangedAt, quarantinedUntil, createdAt }) => ({
+        username, status: docStatus, statusReason, statusChangedBy, statusChangedAt, quarantinedUntil, createdAt
+      }));
+  }
+
+  async releaseExpiredQuarantine(now = new Date(), limit = 500) {
+    const expired = [...this.documents.values()]
+      .filter(doc => doc.status === 'quarantined' && doc.quarantinedUntil <= now)
+      .slice(0, limit);
+
+    for (const doc of expired) {
+      await this.delete(doc.username);
+    }
+    return expired.map(doc => doc.username);
+  }
+
+  async *streamAll({ createdAfter = null } = {}) {
+    for (const doc of this.documents.values()) {
+      if (!createdAfter || doc.createdAt >= createdAfter) yield doc.username;
+    }
+  }
+
+  // Mirrors UsernameDatabase.searchUsernames so both backends page the same way
+  async search(query, options = {}) {
+    const {
+      mode = 'prefix',
+      after = null,
+      limit = 100
+    } = options;
+    const search = parseSearch(query, mode);
+    const deadline = Date.now() + search.timeBudgetMs;
+
+    const matches = [];
+    for (const doc of this.documents.values()) {
+      if (Date.now() > deadline) {
+        throw new SearchError(`${search.mode} search exceeded its ${search.timeBudgetMs}ms budget`, 'timeout');
+      }
+      const matched = search.mode === 'exact' ? doc.username === search.query
+        : search.mode === 'prefix' ? doc.username.startsWith(search.query)
+        : true; // fuzzy: ranked below
+      if (matched && (search.mode === 'fuzzy' || !after || doc.username > after)) matches.push(doc);
+    }
+
+    if (search.mode === 'fuzzy') {
+      return {
+        results: rankFuzzyMatches(search.query, matches, { maxDistance: search.maxDistance, limit }),
+        pagination: { limit, nextCursor: null }
+      };
+    }
+
+    matches.sort((a, b) => (a.username < b.username ? -1 : 1));
+    const results = matches.slice(0, limit);
+
+    return {
+      results,
+      pagination: {
+        limit,
+        nextCursor: matches.length > limit ? results[results.length - 1].username : null
+      }
+    };
+  }
+
+  async getStats() {
+    const byStatus = {};
+    for (const doc of this.documents.values()) {
+      if (doc.status) byStatus[doc.status] = (byStatus[doc.status] || 0) + 1;
+    }
+
+    return {
+      totalUsernames: this.documents.size,
+      byStatus
+    };
+  }
+}
+
+const STORE_BACKENDS = {
+  mongodb: MongoUsernameStore,
+  memory: MemoryUsernameStore
+};
+
+function createUsernameStore(config = {}) {
+  const backend = config.storageBackend || 'mongodb';
+  const Store = STORE_BACKENDS[backend];
+
+  if (!Store) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${Object.keys(STORE_BACKENDS).join(', ')})`);
+  }
+
+  return new Store(config);
+}
+
+module.exports = {
+  UsernameStore,
+  MongoUsernameStore,
+  MemoryUsernameStore,
+  createUsernameStore
+};
@@ -0,0 +1,114 @@
+// username-suggestions.js
+const { USERNAME_WORDS } = require('./mongodb_schema');
+const logger = require('./logger').logger.child({ component: 'suggestions' });
+
+// Candidate generators. Each takes the taken username and returns candidates in
+// order of preference; invalid ones (too long, bad characters) are dropped later.
+const SUGGESTION_STRATEGIES = {
+  numeric(base) {
+    const small = [1, 2, 3, 7];
+    const random = Array.from({ length: 4 }, () => 10 + Math.floor(Math.random() * 990));
+    return [...small, ...random].map(n => `${base}${n}`);
+  },
+
+  underscore(base) {
+    const n = 1 + Math.floor(Math.random() * 99);
+    return [`${base}_`, `_${base}`, `${base}_${n}`];
+  },
+
+  year(base) {
+    const year = new Date().getFullYear();
+    return [`${base}${year}`, `${base}_${year}`, `${base}${year % 100}`];
+  },
+
+  words(base, options) {
+    const { prefixes, suffixes } = options.words;
+    return [
+      ...suffixes.map(suffix => `${base}${suffix}`),
+      ...prefixes.map(prefix => `${prefix}_${base}`)
+    ];
+  }
+};
+
+// Suggests available alternatives for a taken username. Candidates that the
+// Bloom filter already knows are taken are dropped; the survivors are confirmed
+// with one batched existence query plus a hold lookup. Only confirmed names are
+// returned: if that blows the latency budget or fails, there are no suggestions.
+// `execute` wraps the query, e.g. in the storage circuit breaker, and `getHeld`
+// maps skeletons (see `bloomKey`) to the Set of those on hold.
+class UsernameSuggester {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.execute = options.execute || (operation => operation());
+    this.getBloomFilter = options.getBloomFilter;
+    this.getHeld = options.getHeld || (async () => new Set());
+    this.isValid = options.isValid || (() => true);
+    this.bloomKey = options.bloomKey || (candidate => candidate);
+    this.strategies = (options.strategies || Object.keys(SUGGESTION_STRATEGIES)).map((name) => {
+      if (!SUGGESTION_STRATEGIES[name]) {
+        throw new Error(`Unknown suggestion strategy "${name}"`);
+      }
+      return SUGGESTION_STRATEGIES[name];
+    });
+    this.limit = options.limit || 5;
+    this.maxCandidates = options.maxCandidates || 50;
+    this.timeoutMs = options.timeoutMs || 50;
+    this.words = options.words || USERNAME_WORDS;
+  }
+
+  // Interleave strategies so the first few suggestions aren't all the same shape
+  generateCandidates(username) {
+    const lists = this.strategies.map(strategy => strategy(username, { words: this.words }));
+    const candidates = new Set();
+
+    for (let i = 0; candidates.size < this.maxCandidates && lists.some(list => i < list.length); i++) {
+      for (const list of lists) {
+        const candidate = list[i];
+        if (candidate && candidate !== username && this.isValid(candidate)) {
+          candidates.add(candidate.toLowerCase());
+        }
+      }
+    }
+
+    return [...candidates].slice(0, this.maxCandidates);
+  }
+
+  async suggest(username) {
+    const bloomFilter = this.getBloomFilter();
+    const candidates = this.generateCandidates(username)
+      .filter(candidate => !bloomFilter || !bloomFilter.mightContain(this.bloomKey(candidate)));
+
+    if (candidates.length === 0) return [];
+
+    // Confirm a few more than we need, in case some turn out to be taken
+    const toConfirm = candidates.slice(0, this.limit * 2);
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), this.timeoutMs);
+    });
+
+    try {
+      const available = await Promise.race([this.confirmAvailable(toConfirm), timeout]);
+      return (available || []).slice(0, this.limit);
+    } catch (error) {
+      logger.warn('Suggestion lookup failed', { error: error.message });
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The candidates that neither exist (as themselves or a lookalike) nor are held
+  async confirmAvailable(candidates) {
+    const [existing, held] = await Promise.all([
+      this.execute(() => this.store.existsMany(candidates)),
+      this.getHeld(candidates.map(this.bloomKey))
+    ]);
+    return candidates.filter(candidate => !existing.has(candidate) && !held.has(this.bloomKey(candidate)));
+  }
+}
+
+module.exports = {
+  SUGGESTION_STRATEGIES,
+  UsernameSuggester
+};